@@ -0,0 +1,151 @@
+// scripts/mock-push-gateway.mjs
+// Локальный push gateway для разработки: принимает /_matrix/push/v1/notify от homeserver
+// и отправляет Web Push (RFC 8291 aes128gcm + VAPID) в браузер — как Sygnal с webpush pushkin.
+//
+//   npm run push-gateway            # порт 5050, ключи VAPID в .push-gateway-vapid.json
+//   VITE_PUSH_GATEWAY_URL=http://localhost:5050 VITE_PUSH_VAPID_KEY=<ключ из лога> npm run build && npm run preview
+//
+// Homeserver должен достучаться до gateway (Synapse в docker: http://host.docker.internal:5050).
+import { createServer } from "node:http";
+import { createCipheriv, createECDH, createPrivateKey, generateKeyPairSync, hkdfSync, randomBytes, sign } from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+
+const PORT = Number(process.env.PORT || 5050);
+const KEYS_FILE = process.env.VAPID_KEYS_FILE || ".push-gateway-vapid.json";
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:admin@localhost";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const fromB64url = (s) => Buffer.from(s, "base64url");
+
+// -------------------- VAPID --------------------
+function loadVapidKeys() {
+    if (existsSync(KEYS_FILE)) return JSON.parse(readFileSync(KEYS_FILE, "utf8"));
+    const { privateKey } = generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+    const jwk = privateKey.export({ format: "jwk" });
+    // публичный ключ для applicationServerKey: несжатая точка 0x04 || x || y
+    const keys = { jwk, publicKey: b64url(Buffer.concat([Buffer.from([4]), fromB64url(jwk.x), fromB64url(jwk.y)])) };
+    writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+    return keys;
+}
+
+const vapid = loadVapidKeys();
+const vapidPrivateKey = createPrivateKey({ key: vapid.jwk, format: "jwk" });
+
+function vapidAuthorization(endpoint) {
+    const header = b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+    const claims = b64url(
+        JSON.stringify({ aud: new URL(endpoint).origin, exp: Math.floor(Date.now() / 1000) + 12 * 3600, sub: VAPID_SUBJECT })
+    );
+    const signature = sign("sha256", Buffer.from(`${header}.${claims}`), { key: vapidPrivateKey, dsaEncoding: "ieee-p1363" });
+    return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+}
+
+// -------------------- RFC 8291 --------------------
+// один record: plaintext || 0x02, заголовок salt | rs | idlen | keyid (наш эфемерный публичный ключ)
+function encryptPayload(plaintext, p256dh, auth) {
+    const uaPublic = fromB64url(p256dh);
+    const ecdh = createECDH("prime256v1");
+    ecdh.generateKeys();
+    const asPublic = ecdh.getPublicKey();
+    const salt = randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]);
+    const ikm = Buffer.from(hkdfSync("sha256", ecdh.computeSecret(uaPublic), fromB64url(auth), keyInfo, 32));
+    const cek = Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16));
+    const nonce = Buffer.from(hkdfSync("sha256", ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12));
+
+    const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+    const body = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const rs = Buffer.alloc(4);
+    rs.writeUInt32BE(4096);
+    return Buffer.concat([salt, rs, Buffer.from([asPublic.length]), asPublic, body]);
+}
+
+// -------------------- notify --------------------
+// payload как у Sygnal webpush: поля notification без devices + default_payload пушера
+function buildPayload(n, device) {
+    const payload = {
+        ...(device.data?.default_payload || {}),
+        room_id: n.room_id,
+        event_id: n.event_id,
+        type: n.type,
+        sender: n.sender,
+        sender_display_name: n.sender_display_name,
+        room_name: n.room_name,
+        room_alias: n.room_alias,
+        membership: n.membership,
+        prio: n.prio,
+        counts: n.counts,
+        content: n.content,
+    };
+    // Web Push ограничен ~4 KB — длинный текст режем, без content тоже покажем уведомление
+    let json = JSON.stringify(payload);
+    if (json.length > 3000 && typeof payload.content?.body === "string") {
+        payload.content = { ...payload.content, body: payload.content.body.slice(0, 1000), formatted_body: undefined };
+        json = JSON.stringify(payload);
+    }
+    if (json.length > 3000) {
+        delete payload.content;
+        json = JSON.stringify(payload);
+    }
+    return Buffer.from(json);
+}
+
+async function deliver(n, device) {
+    const { endpoint, auth } = device.data || {};
+    if (!endpoint || !auth) throw new Error("pusher data has no endpoint/auth");
+    const res = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+            Authorization: vapidAuthorization(endpoint),
+            "Content-Encoding": "aes128gcm",
+            "Content-Type": "application/octet-stream",
+            TTL: "86400",
+            Urgency: n.prio === "low" ? "normal" : "high",
+        },
+        body: encryptPayload(buildPayload(n, device), device.pushkey, auth),
+    });
+    return res.status;
+}
+
+async function notify(body) {
+    const n = body?.notification || {};
+    const rejected = [];
+    // без event_id это только счётчик: пушерам с data.events_only (как в Sygnal) его не шлём
+    const devices = (n.devices || []).filter((d) => n.event_id || !d.data?.events_only);
+    for (const device of devices) {
+        try {
+            const status = await deliver(n, device);
+            console.log(`[push] ${n.event_id || "(badge)"} ${n.room_id || ""} -> ${status}`);
+            // подписка отозвана браузером -> homeserver удалит пушер
+            if (status === 404 || status === 410) rejected.push(device.pushkey);
+        } catch (e) {
+            console.warn(`[push] ${device.pushkey?.slice(0, 12)}…: ${e.message}`);
+            rejected.push(device.pushkey);
+        }
+    }
+    return { rejected };
+}
+
+createServer((req, res) => {
+    const reply = (status, data) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+    };
+
+    if (req.method !== "POST" || req.url !== "/_matrix/push/v1/notify") return reply(404, { errcode: "M_UNRECOGNIZED" });
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+        try {
+            reply(200, await notify(JSON.parse(raw || "{}")));
+        } catch (e) {
+            reply(400, { errcode: "M_BAD_JSON", error: e.message });
+        }
+    });
+}).listen(PORT, () => {
+    console.log(`Mock push gateway on http://localhost:${PORT}/_matrix/push/v1/notify`);
+    console.log(`VITE_PUSH_VAPID_KEY=${vapid.publicKey}`);
+});
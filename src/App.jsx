@@ -1,1021 +1,7651 @@
 // src/App.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useEffectEvent, useLayoutEffect, useMemo, useRef, useState } from "react";
 import * as sdk from "matrix-js-sdk";
+import { decode as decodeBlurhash, encode as encodeBlurhash } from "blurhash";
+import { Marked } from "marked";
+import {
+    CryptoEvent,
+    DecryptionFailureCode,
+    EventShieldColour,
+    EventShieldReason,
+    VerificationPhase,
+    VerificationRequestEvent,
+    VerifierEvent,
+    decodeRecoveryKey,
+    deriveRecoveryKeyFromPassphrase,
+} from "matrix-js-sdk/lib/crypto-api";
 
 // -------------------- storage --------------------
-function loadSession() {
+// Несколько аккаунтов: список сессий + userId активной. Старый одиночный happychat_session подхватываем.
+// С app lock всё это лежит зашифрованным в LOCK_KEY, а расшифрованная копия живёт только в памяти (appLock)
+const SESSIONS_KEY = "happychat_sessions";
+const ACTIVE_ACCOUNT_KEY = "happychat_active_account";
+
+function readAccounts() {
+    if (isAppLockEnabled()) return appLock?.data || { sessions: [], active: null };
     try {
-        return JSON.parse(localStorage.getItem("happychat_session") || "null");
+        const list = JSON.parse(localStorage.getItem(SESSIONS_KEY) || "null");
+        const active = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+        if (Array.isArray(list)) return { sessions: list, active };
+        const legacy = JSON.parse(localStorage.getItem("happychat_session") || "null");
+        return { sessions: legacy ? [legacy] : [], active };
     } catch {
-        return null;
+        return { sessions: [], active: null };
+    }
+}
+function writeAccounts(data) {
+    if (isAppLockEnabled()) {
+        // заблокировано -> ключа нет, а перезаписать чужой шифротекст пустым списком нельзя
+        if (!appLock) throw new Error("HappyChat is locked");
+        appLock.data = data;
+        persistAppLock();
+        return;
     }
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(data.sessions));
+    if (data.active) localStorage.setItem(ACTIVE_ACCOUNT_KEY, data.active);
+    else localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    localStorage.removeItem("happychat_session");
+}
+
+function loadSessions() {
+    return readAccounts().sessions;
 }
+function saveSessions(list) {
+    writeAccounts({ ...readAccounts(), sessions: list });
+}
+function loadSession() {
+    const { sessions, active } = readAccounts();
+    return sessions.find((s) => s.userId === active) || sessions[0] || null;
+}
+// добавляет/обновляет аккаунт и делает его активным
 function saveSession(s) {
-    localStorage.setItem("happychat_session", JSON.stringify(s));
+    const list = loadSessions();
+    const i = list.findIndex((x) => x.userId === s.userId);
+    writeAccounts({ sessions: i >= 0 ? list.map((x, j) => (j === i ? s : x)) : list.concat(s), active: s.userId });
 }
-function clearSession() {
-    localStorage.removeItem("happychat_session");
+// токены после refresh: активный аккаунт не меняется
+function updateSession(userId, patch) {
+    saveSessions(loadSessions().map((s) => (s.userId === userId ? { ...s, ...patch } : s)));
+}
+function clearSession(userId) {
+    const { sessions, active } = readAccounts();
+    writeAccounts({ sessions: sessions.filter((s) => s.userId !== userId), active: active === userId ? null : active });
 }
 
-// -------------------- helpers --------------------
-function normalizeHomeserver(hs) {
-    const v = (hs || "").trim();
-    if (!v) return "";
-    return v.startsWith("http://") || v.startsWith("https://") ? v : `https://${v}`;
+// -------------------- app lock --------------------
+// PIN -> PBKDF2-SHA256 -> AES-GCM ключ. Шифруются сессии целиком (токены, device id, pickle key crypto store).
+// Сессии, созданные до app lock, pickle key не имеют — их crypto store не зашифрован (предупреждение в AppLockSection)
+// В localStorage: { salt, iterations, idleMinutes, iv, data }; неверный PIN = ошибка расшифровки GCM
+const LOCK_KEY = "happychat_lock";
+const LOCK_ITERATIONS = 600000;
+const LOCK_IDLE_OPTIONS = [1, 5, 15, 60];
+// salt и iterations лежат рядом с шифротекстом: 4 цифры = 10^4 попыток офлайн, это минуты даже при PBKDF2 600k
+const LOCK_MIN_PIN = 6;
+
+// { key, salt, iterations, idleMinutes, data: { sessions, active } } — пока разблокировано
+let appLock = null;
+// записи шифруются асинхронно — держим порядок, чтобы старый снимок не перетёр новый
+let appLockWrite = Promise.resolve();
+
+function isAppLockEnabled() {
+    return !!localStorage.getItem(LOCK_KEY);
+}
+function appLockIdleMinutes() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_KEY) || "null")?.idleMinutes || 0;
+    } catch {
+        return 0;
+    }
 }
 
-function normalizeMxId(input, myUserId) {
-    const v = (input || "").trim();
-    if (!v) return "";
-    if (v.startsWith("@") && v.includes(":")) return v;
+async function deriveLockKey(pin, salt, iterations) {
+    const subtle = window.crypto.subtle;
+    const base = await subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveKey"]);
+    return subtle.deriveKey(
+        { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+        base,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
 
-    const myServer = (myUserId || "").split(":")[1] || "matrix.org";
-    const name = v.startsWith("@") ? v.slice(1) : v;
-    return `@${name}:${myServer}`;
+function persistAppLock() {
+    const { key, salt, iterations, idleMinutes, data } = appLock;
+    const plain = new TextEncoder().encode(JSON.stringify(data));
+    appLockWrite = appLockWrite
+        .then(async () => {
+            const iv = window.crypto.getRandomValues(new Uint8Array(12));
+            const enc = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plain);
+            localStorage.setItem(
+                LOCK_KEY,
+                JSON.stringify({ v: 1, salt: toBase64(salt), iterations, idleMinutes, iv: toBase64(iv), data: toBase64(enc) })
+            );
+        })
+        .catch((e) => console.warn("Encrypted session write failed:", e));
+    return appLockWrite;
 }
 
-function formatTime(ts) {
-    if (!ts) return "";
-    const d = new Date(ts);
-    const hh = String(d.getHours()).padStart(2, "0");
-    const mm = String(d.getMinutes()).padStart(2, "0");
-    return `${hh}:${mm}`;
+async function unlockApp(pin) {
+    const rec = JSON.parse(localStorage.getItem(LOCK_KEY) || "null");
+    if (!rec) throw new Error("App lock is not enabled");
+    const salt = fromBase64(rec.salt);
+    const key = await deriveLockKey(pin, salt, rec.iterations);
+    let plain;
+    try {
+        plain = await window.crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(rec.iv) }, key, fromBase64(rec.data));
+    } catch {
+        throw new Error("Wrong PIN");
+    }
+    appLock = { key, salt, iterations: rec.iterations, idleMinutes: rec.idleMinutes, data: JSON.parse(new TextDecoder().decode(plain)) };
 }
 
-function safeText(v) {
-    if (typeof v !== "string") return "";
-    return v;
+// ключ и расшифрованные сессии из памяти — дальше только через PIN
+function lockApp() {
+    appLock = null;
 }
 
-function truncateMiddle(s, max = 22) {
-    if (!s || s.length <= max) return s;
-    const left = Math.ceil((max - 3) / 2);
-    const right = Math.floor((max - 3) / 2);
-    return `${s.slice(0, left)}...${s.slice(s.length - right)}`;
+// включить или сменить PIN: текущие сессии перешифровываются, открытые копии удаляются
+async function enableAppLock(pin, idleMinutes) {
+    const data = readAccounts();
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveLockKey(pin, salt, LOCK_ITERATIONS);
+    appLock = { key, salt, iterations: LOCK_ITERATIONS, idleMinutes, data };
+    await persistAppLock();
+    localStorage.removeItem(SESSIONS_KEY);
+    localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    localStorage.removeItem("happychat_session");
 }
 
-// -------------------- App --------------------
-export default function App() {
-    const [session, setSession] = useState(loadSession());
-    const [client, setClient] = useState(null);
+async function setAppLockIdle(idleMinutes) {
+    if (!appLock) return;
+    appLock.idleMinutes = idleMinutes;
+    await persistAppLock();
+}
 
-    const [rooms, setRooms] = useState([]);
-    const [activeRoomId, setActiveRoomId] = useState(null);
-    const [events, setEvents] = useState([]);
+async function disableAppLock() {
+    const data = readAccounts();
+    await appLockWrite;
+    localStorage.removeItem(LOCK_KEY);
+    appLock = null;
+    writeAccounts(data);
+}
 
-    const [message, setMessage] = useState("");
+// случайный ключ для IndexedDB crypto store (initRustCrypto storageKey); хранится в сессии
+function newPickleKey() {
+    return toBase64(window.crypto.getRandomValues(new Uint8Array(32)));
+}
 
-    // UI
-    const [query, setQuery] = useState("");
-    const [isMobile, setIsMobile] = useState(
-        typeof window !== "undefined" ? window.innerWidth < 900 : false
-    );
+// префикс IndexedDB-баз аккаунта (crypto store, sync cache)
+function userDbPrefix(userId) {
+    return `happychat_${(userId || "u").replace(/[^a-z0-9]/gi, "_")}`;
+}
 
-    const [newChatOpen, setNewChatOpen] = useState(false);
-    const [newChatInput, setNewChatInput] = useState("");
-    const [newChatBusy, setNewChatBusy] = useState(false);
+const RECENT_EMOJI_KEY = "happychat_recent_emoji";
+// m.read.private: сервер не показывает наши receipts другим, но счётчики непрочитанного сбрасывает
+const PRIVATE_RECEIPTS_KEY = "happychat_private_receipts";
 
-    const [typingUsers, setTypingUsers] = useState([]);
+function loadPrivateReceipts() {
+    return localStorage.getItem(PRIVATE_RECEIPTS_KEY) === "1";
+}
+function savePrivateReceipts(on) {
+    if (on) localStorage.setItem(PRIVATE_RECEIPTS_KEY, "1");
+    else localStorage.removeItem(PRIVATE_RECEIPTS_KEY);
+}
 
-    const myUserId = session?.userId || null;
+function loadRecentEmoji() {
+    try {
+        const v = JSON.parse(localStorage.getItem(RECENT_EMOJI_KEY) || "[]");
+        return Array.isArray(v) ? v : [];
+    } catch {
+        return [];
+    }
+}
+function rememberEmoji(key) {
+    const next = [key].concat(loadRecentEmoji().filter((k) => k !== key)).slice(0, 16);
+    localStorage.setItem(RECENT_EMOJI_KEY, JSON.stringify(next));
+}
 
-    const activeRoom = useMemo(
-        () => (client && activeRoomId ? client.getRoom(activeRoomId) : null),
-        [client, activeRoomId]
-    );
+// -------------------- outbox --------------------
+// Неотправленные сообщения переживают перезагрузку: IndexedDB, ключ = txnId; запись удаляется, как только сервер принял событие.
+// content — это открытый текст E2E-сообщения, поэтому на диск он попадает только зашифрованным: AES-GCM, случайный ключ
+// у каждой сессии (session.outboxKey), с app lock он лежит зашифрованным вместе с сессией
+const OUTBOX_DB = "happychat_outbox";
+const OUTBOX_STORE = "messages";
 
-    // Resize -> mobile
-    useEffect(() => {
-        function onResize() {
-            setIsMobile(window.innerWidth < 900);
-        }
-        window.addEventListener("resize", onResize);
-        return () => window.removeEventListener("resize", onResize);
-    }, []);
+// userId -> CryptoKey, пока клиент этого аккаунта запущен
+const outboxKeys = new Map();
 
-    // displayname helper
-    function senderDisplayName(room, senderId) {
-        if (!room || !senderId) return senderId || "";
-        try {
-            const m = room.getMember?.(senderId);
-            const n = m?.name || m?.rawDisplayName || m?.displayName;
-            return n || senderId;
-        } catch {
-            return senderId;
-        }
+function newOutboxKey() {
+    return toBase64(window.crypto.getRandomValues(new Uint8Array(32)));
+}
+
+async function setOutboxKey(userId, rawKey) {
+    const key = await window.crypto.subtle.importKey("raw", fromBase64(rawKey), "AES-GCM", false, ["encrypt", "decrypt"]);
+    outboxKeys.set(userId, key);
+}
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(OUTBOX_DB, 1);
+        req.onupgradeneeded = () => {
+            const store = req.result.createObjectStore(OUTBOX_STORE, { keyPath: "txnId" });
+            store.createIndex("userId", "userId");
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function outboxTx(mode, fn) {
+    const db = await openOutbox();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(OUTBOX_STORE, mode);
+            const req = fn(tx.objectStore(OUTBOX_STORE));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
     }
+}
 
-    // room avatar helper
-    function roomAvatarUrl(room, size = 64) {
-        if (!client || !room) return null;
+async function outboxPut(userId, item, content) {
+    const key = outboxKeys.get(userId);
+    if (!key) return;
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const enc = await window.crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(content)));
+    const record = { ...item, userId, iv: toBase64(iv), data: toBase64(enc) };
+    return outboxTx("readwrite", (store) => store.put(record));
+}
+function outboxDelete(txnId) {
+    return outboxTx("readwrite", (store) => store.delete(txnId)).catch((e) => console.warn("Outbox delete failed:", e));
+}
+// расшифрованные записи; не расшифровавшиеся (сессию пересоздали с новым ключом) удаляются
+async function outboxList(userId) {
+    const key = outboxKeys.get(userId);
+    // клиент аккаунта не запущен — записи не трогаем
+    if (!key) return [];
+    const items = await outboxTx("readonly", (store) => store.index("userId").getAll(userId));
+    const out = [];
+    for (const item of items || []) {
         try {
-            const url = room.getAvatarUrl?.(
-                client.getHomeserverUrl(),
-                size,
-                size,
-                "scale",
-                true
-            );
-            return url || null;
+            const plain = await window.crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(item.iv) }, key, fromBase64(item.data));
+            out.push({ ...item, content: JSON.parse(new TextDecoder().decode(plain)) });
         } catch {
-            return null;
+            outboxDelete(item.txnId);
         }
     }
+    return out.sort((a, b) => a.ts - b.ts);
+}
+function outboxClear(userId) {
+    return outboxTx("readwrite", (store) => {
+        const req = store.index("userId").openCursor(userId);
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+    }).catch((e) => console.warn("Outbox clear failed:", e));
+}
 
-    // Start client from session + init E2E
-    useEffect(() => {
-        if (!session) return;
+// m.room.message через outbox: local echo сразу, запись в IndexedDB параллельно с отправкой.
+// Промис отклоняется, если отправка не удалась (событие остаётся NOT_SENT)
+function sendQueued(client, roomId, threadId, content) {
+    const txnId = client.makeTxnId();
+    const sent = client.sendEvent(roomId, threadId ?? null, "m.room.message", content, txnId);
+    const item = { txnId, roomId, threadId: threadId ?? null, ts: Date.now() };
+    const stored = outboxPut(client.getUserId(), item, content).catch((e) => console.warn("Outbox write failed:", e));
+    // сервер мог ответить раньше, чем запись легла в IndexedDB: тогда onLocalEcho удалил то, чего ещё не было
+    return sent.then(async (res) => {
+        await stored;
+        outboxDelete(txnId);
+        return res;
+    });
+}
 
-        const c = sdk.createClient({
-            baseUrl: session.baseUrl,
-            accessToken: session.accessToken,
-            userId: session.userId,
-            deviceId: session.deviceId,
+const PENDING_STATUSES = [sdk.EventStatus.QUEUED, sdk.EventStatus.SENDING, sdk.EventStatus.ENCRYPTING, sdk.EventStatus.NOT_SENT];
+
+// -------------------- auth --------------------
+// куда вернуться после SSO-редиректа (loginToken не знает про homeserver)
+const PENDING_LOGIN_KEY = "happychat_pending_login";
+// OIDC client_id после dynamic registration, по issuer
+const OIDC_CLIENTS_KEY = "happychat_oidc_clients";
+
+// SSO и OIDC возвращаются сюда; _redirects отдаёт index.html на любой путь
+function authRedirectUri() {
+    return new URL(`${import.meta.env.BASE_URL}auth/callback`, window.location.origin).href;
+}
+
+function isAuthCallback() {
+    return window.location.pathname.endsWith("/auth/callback");
+}
+
+// URL, домен или домен из @user:domain -> base_url через /.well-known/matrix/client
+async function discoverHomeserver(input) {
+    const v = (input || "").trim();
+    if (!v) return "";
+    if (v.startsWith("http://") || v.startsWith("https://")) return v.replace(/\/+$/, "");
+
+    const cfg = await sdk.AutoDiscovery.findClientConfig(v);
+    const hs = cfg?.["m.homeserver"];
+    if (hs?.state === sdk.AutoDiscovery.SUCCESS && hs.base_url) return hs.base_url.replace(/\/+$/, "");
+    // .well-known есть, но указывает на битый сервер — не угадываем
+    if (hs?.state === sdk.AutoDiscovery.FAIL_ERROR) throw new Error(hs.error || "Homeserver discovery failed");
+    // .well-known нет -> сам домен
+    return normalizeHomeserver(v);
+}
+
+// Что умеет сервер: flows из GET /login + OIDC metadata (MSC2965), если auth делегирован (MSC3861)
+async function fetchLoginOptions(baseUrl) {
+    const temp = sdk.createClient({ baseUrl });
+    const [flowsRes, oidc] = await Promise.all([
+        temp.loginFlows().catch(() => null),
+        temp.getAuthMetadata().catch(() => null),
+    ]);
+    const flows = flowsRes?.flows || [];
+    if (!flowsRes && !oidc) throw new Error(`Can't reach homeserver at ${baseUrl}`);
+
+    const sso = flows.find((f) => f.type === "m.login.sso");
+    return {
+        baseUrl,
+        password: flows.some((f) => f.type === "m.login.password"),
+        sso: sso ? { providers: sso.identity_providers || [] } : null,
+        oidc,
+    };
+}
+
+// deviceId: переавторизация после soft logout в тот же device (crypto store остаётся валидным)
+function startSsoLogin(baseUrl, idpId, deviceId) {
+    sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify({ type: "sso", baseUrl, deviceId }));
+    const temp = sdk.createClient({ baseUrl });
+    window.location.assign(temp.getSsoLoginUrl(authRedirectUri(), "sso", idpId));
+}
+
+// prompt: "create" -> OP сразу показывает регистрацию
+async function startOidcLogin(baseUrl, metadata, prompt) {
+    let clients = {};
+    try {
+        clients = JSON.parse(localStorage.getItem(OIDC_CLIENTS_KEY) || "{}");
+    } catch {
+        // битый кэш -> просто регистрируемся заново
+    }
+
+    let clientId = clients[metadata.issuer];
+    if (!clientId) {
+        clientId = await sdk.registerOidcClient(metadata, {
+            clientName: "HappyChat",
+            clientUri: new URL(import.meta.env.BASE_URL, window.location.origin).href,
+            redirectUris: [authRedirectUri()],
+            applicationType: "web",
+            contacts: [],
         });
+        localStorage.setItem(OIDC_CLIENTS_KEY, JSON.stringify({ ...clients, [metadata.issuer]: clientId }));
+    }
 
-        setClient(c);
+    sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify({ type: "oidc", baseUrl }));
+    const url = await sdk.generateOidcAuthorizationUrl({
+        metadata,
+        clientId,
+        homeserverUrl: baseUrl,
+        redirectUri: authRedirectUri(),
+        nonce: crypto.randomUUID(),
+        prompt,
+    });
+    window.location.assign(url);
+}
 
-        const updateRooms = () => {
-            const rs = c
-                .getRooms()
-                .slice()
-                .sort((a, b) => {
-                    const ta = a.getLastActiveTimestamp?.() || 0;
-                    const tb = b.getLastActiveTimestamp?.() || 0;
-                    return tb - ta;
-                });
-            setRooms(rs);
+// Возврат с SSO (?loginToken=) или OIDC (?code=&state=) -> session
+async function completeAuthCallback() {
+    const params = new URLSearchParams(window.location.search);
+    let pending = null;
+    try {
+        pending = JSON.parse(sessionStorage.getItem(PENDING_LOGIN_KEY) || "null");
+    } catch {
+        // нет pending -> для SSO ниже будет понятная ошибка
+    }
+    sessionStorage.removeItem(PENDING_LOGIN_KEY);
+    // loginToken/code одноразовые: убираем из адресной строки и истории сразу
+    window.history.replaceState(null, "", import.meta.env.BASE_URL);
 
-            // desktop auto-open first room
-            if (!isMobile && !activeRoomId && rs[0]) setActiveRoomId(rs[0].roomId);
-        };
+    if (params.get("error")) throw new Error(params.get("error_description") || params.get("error"));
 
-        const updateTypingForActive = () => {
-            if (!activeRoomId) {
-                setTypingUsers([]);
-                return;
-            }
-            const room = c.getRoom(activeRoomId);
-            if (!room) {
-                setTypingUsers([]);
-                return;
-            }
-            const typing = room.getTypingMembers?.() || [];
-            const names = typing
-                .map((m) => m?.name || m?.rawDisplayName || m?.displayName || m?.userId)
-                .filter((n) => n)
-                .filter((n) => n !== myUserId) // грубо, но нормально для UI
-                .slice(0, 3);
-            setTypingUsers(names);
+    if (params.get("loginToken")) {
+        if (!pending?.baseUrl) throw new Error("Login session expired, please try again");
+        const temp = sdk.createClient({ baseUrl: pending.baseUrl });
+        const res = await temp.login("m.login.token", {
+            token: params.get("loginToken"),
+            refresh_token: true,
+            ...(pending.deviceId ? { device_id: pending.deviceId } : {}),
+        });
+        return {
+            baseUrl: pending.baseUrl,
+            accessToken: res.access_token,
+            refreshToken: res.refresh_token,
+            userId: res.user_id,
+            deviceId: res.device_id,
         };
+    }
 
-        const onSync = (state) => {
-            if (state === "PREPARED") {
-                updateRooms();
-                updateTypingForActive();
-            }
+    if (params.get("code") && params.get("state")) {
+        const { tokenResponse, homeserverUrl, oidcClientSettings, idTokenClaims } = await sdk.completeAuthorizationCodeGrant(
+            params.get("code"),
+            params.get("state")
+        );
+        const temp = sdk.createClient({ baseUrl: homeserverUrl, accessToken: tokenResponse.access_token });
+        const me = await temp.whoami();
+        return {
+            baseUrl: homeserverUrl,
+            accessToken: tokenResponse.access_token,
+            refreshToken: tokenResponse.refresh_token,
+            userId: me.user_id,
+            deviceId: me.device_id,
+            oidc: { ...oidcClientSettings, idTokenClaims },
         };
+    }
 
-        const onRoomTimeline = (ev, room, toStartOfTimeline) => {
-            if (toStartOfTimeline) return;
-            if (!room || room.roomId !== activeRoomId) return;
+    return null;
+}
 
-            // добавляем только новое событие
-            setEvents((prev) => {
-                const next = prev.concat(ev);
-                return next.length > 200 ? next.slice(next.length - 200) : next;
-            });
+// Стадии UIA, для которых есть свой UI в RegisterForm; остальные — через fallback-страницу сервера
+const REGISTER_STAGES = [
+    sdk.AuthType.Dummy,
+    sdk.AuthType.Terms,
+    sdk.AuthType.Email,
+    sdk.AuthType.Recaptcha,
+    sdk.AuthType.RegistrationToken,
+    sdk.AuthType.UnstableRegistrationToken,
+];
 
-            // updateRooms НЕ дергаем на каждое сообщение (см. C)
-        };
-        let roomsUpdateTimer = null;
-        const scheduleRoomsUpdate = () => {
-            if (roomsUpdateTimer) return;
-            roomsUpdateTimer = setTimeout(() => {
-                roomsUpdateTimer = null;
-                updateRooms();
-            }, 500);
-        };
-        const onRoom = () => updateRooms();
+function registrationError(e) {
+    if (e?.name === "NoAuthFlowFoundError") {
+        return e.required_stages?.length
+            ? "This homeserver doesn't accept an email address at sign-up — leave it empty"
+            : "This homeserver requires an email address to sign up";
+    }
+    return e?.data?.error || e?.message || String(e);
+}
 
-        const onTyping = (room) => {
-            if (!room || room.roomId !== activeRoomId) return;
-            updateTypingForActive();
+let recaptchaPromise = null;
+
+function loadRecaptcha() {
+    if (!recaptchaPromise) {
+        recaptchaPromise = new Promise((resolve, reject) => {
+            window.happychatRecaptchaLoaded = () => resolve(window.grecaptcha);
+            const script = document.createElement("script");
+            script.src = "https://www.recaptcha.net/recaptcha/api.js?onload=happychatRecaptchaLoaded&render=explicit";
+            script.async = true;
+            script.onerror = () => {
+                recaptchaPromise = null;
+                script.remove();
+                reject(new Error("Failed to load reCAPTCHA"));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return recaptchaPromise;
+}
+
+// tokenRefreshFunction для createClient: OIDC refresher или /refresh (refresh_token из login).
+// Новую пару сразу сохраняем в session. MatrixError отсюда = SDK шлёт Session.logged_out
+function makeTokenRefreshFunction(session) {
+    if (!session.refreshToken) return undefined;
+    const persist = ({ accessToken, refreshToken }) => updateSession(session.userId, { accessToken, refreshToken });
+
+    if (session.oidc) {
+        const { issuer, clientId, idTokenClaims } = session.oidc;
+        const refresher = new sdk.OidcTokenRefresher(issuer, clientId, authRedirectUri(), session.deviceId, idTokenClaims);
+        refresher.persistTokens = async (tokens) => persist(tokens);
+        return (token) => refresher.doRefreshAccessToken(token);
+    }
+
+    const temp = sdk.createClient({ baseUrl: session.baseUrl });
+    return async (token) => {
+        const res = await temp.refreshToken(token);
+        const tokens = {
+            accessToken: res.access_token,
+            // refresh_token в ответе необязателен — тогда старый остаётся в силе
+            refreshToken: res.refresh_token || token,
+            expiry: res.expires_in_ms ? new Date(Date.now() + res.expires_in_ms) : undefined,
         };
+        persist(tokens);
+        return tokens;
+    };
+}
 
-        c.on("sync", onSync);
-        c.on("Room.timeline", onRoomTimeline);
-        c.on("Room", onRoom);
-        c.on("RoomMember.typing", onTyping);
+// -------------------- background accounts --------------------
+// Неактивные аккаунты живут без полного клиента: лёгкий /sync long-poll только ради счётчика непрочитанного.
+// m.receipt оставляем: иначе прочитанное на другом устройстве не попадёт в incremental sync
+const UNREAD_SYNC_FILTER = JSON.stringify({
+    presence: { types: [] },
+    account_data: { types: [] },
+    room: {
+        timeline: { limit: 1 },
+        state: { types: [] },
+        ephemeral: { types: ["m.receipt"] },
+        account_data: { types: [] },
+    },
+});
 
-        // ВАЖНО: включаем E2E (best-effort) и только потом стартуем клиент
-        (async () => {
+// onCount(n): сумма notification_count по комнатам + инвайты; onLoggedOut: токен отозван. Возвращает stop()
+function watchUnread(session, onCount, onLoggedOut) {
+    const c = sdk.createClient({
+        baseUrl: session.baseUrl,
+        accessToken: session.accessToken,
+        refreshToken: session.refreshToken,
+        tokenRefreshFunction: makeTokenRefreshFunction(session),
+        userId: session.userId,
+        deviceId: session.deviceId,
+    });
+    const abort = new AbortController();
+    const counts = new Map();
+    const invites = new Set();
+
+    (async () => {
+        let since = null;
+        while (!abort.signal.aborted) {
             try {
-                if (typeof c.initRustCrypto === "function") {
-                    await c.initRustCrypto({
-                        useIndexedDB: true,
-                        cryptoDatabasePrefix: `happychat_${(session.userId || "u").replace(/[^a-z0-9]/gi, "_")}`,
-                    });
+                const res = await c.http.authedRequest(
+                    sdk.Method.Get,
+                    "/sync",
+                    { filter: UNREAD_SYNC_FILTER, timeout: since ? "30000" : "0", ...(since ? { since } : {}) },
+                    undefined,
+                    { abortSignal: abort.signal, localTimeoutMs: 60000 }
+                );
+                for (const [roomId, r] of Object.entries(res.rooms?.join || {})) {
+                    counts.set(roomId, r.unread_notifications?.notification_count || 0);
+                    invites.delete(roomId);
                 }
+                for (const roomId of Object.keys(res.rooms?.leave || {})) {
+                    counts.delete(roomId);
+                    invites.delete(roomId);
+                }
+                for (const roomId of Object.keys(res.rooms?.invite || {})) invites.add(roomId);
+                since = res.next_batch;
+
+                let total = invites.size;
+                counts.forEach((n) => (total += n));
+                onCount(total);
             } catch (e) {
-                console.warn("E2E init failed:", e);
+                if (abort.signal.aborted) break;
+                if (e?.errcode === "M_UNKNOWN_TOKEN") {
+                    onLoggedOut();
+                    break;
+                }
+                console.warn(`Unread sync for ${session.userId} failed:`, e);
+                await new Promise((resolve) => setTimeout(resolve, 15000));
             }
+        }
+    })();
 
-            c.startClient({
-                initialSyncLimit: 10,
-                lazyLoadMembers: true,
-            });
+    return () => abort.abort();
+}
 
-        })();
+// -------------------- direct messages --------------------
+// m.direct: { userId: [roomId, ...] } в account data — так DM видят все клиенты аккаунта
+// directEvent: account data m.direct (client.getAccountData)
+function directRoomIndex(directEvent) {
+    const index = new Map();
+    const content = directEvent?.getContent?.() || {};
+    for (const [userId, roomIds] of Object.entries(content)) {
+        for (const roomId of Array.isArray(roomIds) ? roomIds : []) index.set(roomId, userId);
+    }
+    return index;
+}
 
-        return () => {
-            c.removeListener("sync", onSync);
-            c.removeListener("Room.timeline", onRoomTimeline);
-            c.removeListener("Room", onRoom);
-            c.removeListener("RoomMember.typing", onTyping);
-            try {
-                c.stopClient();
-            } catch {}
-        };
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [session, activeRoomId, isMobile, myUserId]);
+// собеседник: по m.direct, иначе комната на двоих без своего имени
+// (старые DM из startDM назывались "DM with @x" и в m.direct не попадали)
+function dmPartner(room, myUserId, index) {
+    if (!room) return null;
+    const direct = index?.get(room.roomId);
+    if (direct) return direct;
+    const members = (room.getMembers?.() || []).filter((m) => m.membership === "join" || m.membership === "invite");
+    if (members.length !== 2 || !members.some((m) => m.userId === myUserId)) return null;
+    const name = room.currentState?.getStateEvents?.("m.room.name", "")?.getContent?.()?.name;
+    if (name && !name.startsWith("DM with ")) return null;
+    return members.find((m) => m.userId !== myUserId).userId;
+}
 
-    // When room changes -> refresh events + typing list
-    useEffect(() => {
-        if (!activeRoom || !client) {
-            setEvents([]);
-            setTypingUsers([]);
-            return;
-        }
-        const timeline = activeRoom.getLiveTimeline().getEvents();
-        setEvents(timeline);
+// уже есть DM с userId (мы и он в комнате или он приглашён)?
+function findExistingDm(client, myUserId, userId) {
+    const index = directRoomIndex(client.getAccountData("m.direct"));
+    const alive = (room) => {
+        if (room?.getMyMembership() !== "join") return false;
+        const m = room.getMember(userId)?.membership;
+        return m === "join" || m === "invite";
+    };
+    const rooms = client.getRooms();
+    return (
+        rooms.find((r) => index.get(r.roomId) === userId && alive(r)) ||
+        rooms.find((r) => !index.has(r.roomId) && dmPartner(r, myUserId, null) === userId && alive(r)) ||
+        null
+    );
+}
 
-        try {
-            const typing = activeRoom.getTypingMembers?.() || [];
-            const names = typing
-                .map((m) => m?.name || m?.rawDisplayName || m?.displayName || m?.userId)
-                .filter(Boolean)
-                .filter((n) => n !== myUserId)
-                .slice(0, 3);
-            setTypingUsers(names);
-        } catch {
-            setTypingUsers([]);
-        }
-    }, [activeRoomId, activeRoom, client, myUserId]);
+async function addDirectRoom(client, userId, roomId) {
+    const content = { ...(client.getAccountData("m.direct")?.getContent() || {}) };
+    const list = Array.isArray(content[userId]) ? content[userId] : [];
+    if (list.includes(roomId)) return;
+    content[userId] = list.concat(roomId);
+    await client.setAccountData("m.direct", content);
+}
 
-    async function login({ homeserver, username, password }) {
-        const baseUrl = normalizeHomeserver(homeserver);
-        if (!baseUrl) throw new Error("Homeserver is empty");
+// -------------------- room admin --------------------
+const HISTORY_VISIBILITY_OPTIONS = [
+    { value: "shared", label: "Members (full history)" },
+    { value: "invited", label: "Members, since they were invited" },
+    { value: "joined", label: "Members, since they joined" },
+    { value: "world_readable", label: "Anyone" },
+];
+const JOIN_RULE_OPTIONS = [
+    { value: "invite", label: "Invite only" },
+    { value: "knock", label: "Ask to join" },
+    { value: "public", label: "Anyone can join" },
+];
 
-        const temp = sdk.createClient({ baseUrl });
-        const res = await temp.login("m.login.password", {
-            user: username,
-            password,
-        });
+function roomStateContent(room, type) {
+    return room?.currentState?.getStateEvents(type, "")?.getContent() || {};
+}
 
-        const s = {
-            baseUrl,
-            accessToken: res.access_token,
-            userId: res.user_id,
-            deviceId: res.device_id,
-        };
-        saveSession(s);
-        setSession(s);
-    }
+function powerLevelLabel(level) {
+    if (level >= 100) return "Admin";
+    if (level >= 50) return "Moderator";
+    return level > 0 ? `Power ${level}` : "";
+}
 
-    async function logout() {
-        try {
-            if (client) await client.logout();
-        } catch {}
-        clearSession();
-        setClient(null);
-        setSession(null);
-        setRooms([]);
-        setActiveRoomId(null);
-        setEvents([]);
-        setMessage("");
-        setTypingUsers([]);
+// kick/ban/unban: нужен уровень из m.room.power_levels и он должен быть выше, чем у цели
+function memberPermissions(room, myUserId, member) {
+    const state = room.currentState;
+    const myLevel = room.getMember(myUserId)?.powerLevel ?? 0;
+    const outranks = member.userId !== myUserId && member.powerLevel < myLevel;
+    return {
+        kick: outranks && state.hasSufficientPowerLevelFor("kick", myLevel),
+        ban: outranks && state.hasSufficientPowerLevelFor("ban", myLevel),
+    };
+}
+
+// -------------------- presence --------------------
+const PRESENCE_COLORS = { online: "#2e7d32", unavailable: "#f9a825", offline: "#bbb" };
+const AVATAR_CROP_VIEW = 240;
+const AVATAR_SIZE = 512;
+
+function lastSeenText(ts) {
+    const min = Math.round((Date.now() - ts) / 60000);
+    if (min < 1) return "just now";
+    if (min < 60) return `${min} min ago`;
+    const h = Math.round(min / 60);
+    if (h < 24) return `${h} h ago`;
+    return new Date(ts).toLocaleDateString();
+}
+
+// User из /sync presence; last_active_ago отсчитывается от момента получения события
+function presenceLabel(user) {
+    if (!user?.presence) return "";
+    if (user.presence === "online") return "online";
+    const ts = user.getLastActiveTs?.();
+    const seen = ts > 0 ? `last seen ${lastSeenText(ts)}` : "";
+    if (user.presence === "unavailable") return seen ? `away · ${seen}` : "away";
+    return seen || "offline";
+}
+
+// -------------------- push --------------------
+// HTTP pusher -> push gateway (Sygnal webpush или scripts/mock-push-gateway.mjs) -> Web Push -> src/sw.js
+const PUSH_GATEWAY_URL = (import.meta.env.VITE_PUSH_GATEWAY_URL || "").replace(/\/+$/, "");
+const PUSH_VAPID_KEY = import.meta.env.VITE_PUSH_VAPID_KEY || "";
+const PUSH_APP_ID = import.meta.env.VITE_PUSH_APP_ID || "happychat.web";
+
+function pushConfigured() {
+    return !!(PUSH_GATEWAY_URL && PUSH_VAPID_KEY);
+}
+
+// dev-сервер SW не регистрирует — push только в production build (vite build && vite preview)
+async function pushRegistration() {
+    if (!("serviceWorker" in navigator) || !("PushManager" in window)) throw new Error("This browser doesn't support Web Push");
+    const reg = await navigator.serviceWorker.getRegistration();
+    if (!reg) throw new Error("Service worker is not registered");
+    return reg;
+}
+
+// pushkey = p256dh подписки (так ждёт Sygnal webpush). Подписка одна на браузер, пушеры — на каждый аккаунт
+async function pushKey() {
+    const sub = await (await pushRegistration()).pushManager.getSubscription();
+    return sub?.toJSON().keys?.p256dh || null;
+}
+
+async function isPushEnabled(client) {
+    const key = await pushKey();
+    if (!key) return false;
+    const { pushers } = await client.getPushers();
+    return (pushers || []).some((p) => p.app_id === PUSH_APP_ID && p.pushkey === key);
+}
+
+async function enablePush(client) {
+    if ((await Notification.requestPermission()) !== "granted") throw new Error("Notifications are blocked for this site");
+    const reg = await pushRegistration();
+    const sub =
+        (await reg.pushManager.getSubscription()) ||
+        (await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: fromBase64(PUSH_VAPID_KEY) }));
+    const { endpoint, keys } = sub.toJSON();
+    await client.setPusher({
+        kind: "http",
+        app_id: PUSH_APP_ID,
+        pushkey: keys.p256dh,
+        app_display_name: "HappyChat",
+        device_display_name: `HappyChat Web (${client.getDeviceId()})`,
+        lang: navigator.language || "en",
+        data: {
+            url: `${PUSH_GATEWAY_URL}/_matrix/push/v1/notify`,
+            endpoint,
+            auth: keys.auth,
+            // без событий (только счётчик) не пушить: подписка userVisibleOnly, а SW без event_id показать нечего —
+            // Chrome тогда сам рисует "site has been updated in the background"
+            events_only: true,
+            // gateway подмешивает в payload: SW знает, в какой аккаунт открывать комнату
+            default_payload: { user_id: client.getUserId() },
+        },
+        // тот же pushkey может быть у других аккаунтов этого браузера
+        append: true,
+    });
+}
+
+// подписку не трогаем: на ней могут висеть пушеры других аккаунтов
+async function disablePush(client) {
+    const key = await pushKey();
+    if (key) await client.setPusher({ kind: null, app_id: PUSH_APP_ID, pushkey: key });
+}
+
+// -------------------- push rules --------------------
+// Режим комнаты: all — своих правил нет (default underride), mentions — room rule без notify,
+// mute — override по room_id без notify (глушит и упоминания)
+const ROOM_NOTIFY_MODES = [
+    { value: "all", label: "All messages" },
+    { value: "mentions", label: "Mentions & keywords" },
+    { value: "mute", label: "Mute" },
+];
+const KEYWORD_ACTIONS = ["notify", { set_tweak: "sound", value: "default" }, { set_tweak: "highlight" }];
+
+function roomNotifyMode(client, roomId) {
+    const rules = client?.pushRules?.global;
+    const silent = (r) => !!r?.enabled && !r.actions?.includes("notify");
+    if (silent(rules?.override?.find((r) => r.rule_id === roomId))) return "mute";
+    if (silent(rules?.room?.find((r) => r.rule_id === roomId))) return "mentions";
+    return "all";
+}
+
+// m.push_rules придёт через sync, но UI нужен сразу
+async function reloadPushRules(client) {
+    client.pushRules = await client.getPushRules();
+}
+
+async function setRoomNotifyMode(client, roomId, mode) {
+    const rules = client.pushRules?.global || {};
+    if (rules.override?.some((r) => r.rule_id === roomId)) {
+        await client.deletePushRule("global", sdk.PushRuleKind.Override, roomId);
     }
+    if (rules.room?.some((r) => r.rule_id === roomId)) {
+        await client.deletePushRule("global", sdk.PushRuleKind.RoomSpecific, roomId);
+    }
+    if (mode === "mute") {
+        await client.addPushRule("global", sdk.PushRuleKind.Override, roomId, {
+            conditions: [{ kind: "event_match", key: "room_id", pattern: roomId }],
+            actions: [],
+        });
+    } else if (mode === "mentions") {
+        await client.addPushRule("global", sdk.PushRuleKind.RoomSpecific, roomId, { actions: [] });
+    }
+    await reloadPushRules(client);
+}
 
-    async function send() {
-        if (!client || !activeRoomId) return;
-        const text = message.trim();
-        if (!text) return;
+// свои content rules; серверные (.m.rule.contains_user_name и т.п.) не показываем
+function keywordRules(client) {
+    return (client?.pushRules?.global?.content || []).filter((r) => !r.default && !r.rule_id.startsWith("."));
+}
 
-        // stop typing
-        try {
-            await client.sendTyping(activeRoomId, false);
-        } catch {}
+async function addKeyword(client, keyword) {
+    const k = keyword.trim();
+    if (!k) return;
+    if (/[/\\]/.test(k)) throw new Error("Keyword can't contain slashes");
+    await client.addPushRule("global", sdk.PushRuleKind.ContentSpecific, k, { pattern: k, actions: KEYWORD_ACTIONS });
+    await reloadPushRules(client);
+}
 
-        const txnId = client.makeTxnId ? client.makeTxnId() : `${Date.now()}`;
-        await client.sendEvent(
-            activeRoomId,
-            "m.room.message",
-            { msgtype: "m.text", body: text },
-            txnId
-        );
-        setMessage("");
+async function removeKeyword(client, ruleId) {
+    await client.deletePushRule("global", sdk.PushRuleKind.ContentSpecific, ruleId);
+    await reloadPushRules(client);
+}
+
+// -------------------- do not disturb --------------------
+// Часы тишины применяет service worker (уведомления без звука) — localStorage ему недоступен, поэтому IndexedDB
+const SETTINGS_DB = "happychat_settings";
+const SETTINGS_STORE = "settings";
+const DND_DEFAULT = { enabled: false, start: "22:00", end: "07:00" };
+
+function openSettings() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(SETTINGS_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(SETTINGS_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function settingsTx(mode, fn) {
+    const db = await openSettings();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(SETTINGS_STORE, mode);
+            const req = fn(tx.objectStore(SETTINGS_STORE));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
     }
+}
 
-    // DM with E2E (m.room.encryption) — ONLY for DM
-    async function startDM() {
-        if (!client || !myUserId) return;
-        const mxid = normalizeMxId(newChatInput, myUserId);
-        if (!mxid) return;
+async function loadDnd() {
+    return { ...DND_DEFAULT, ...((await settingsTx("readonly", (store) => store.get("dnd"))) || {}) };
+}
+function saveDnd(dnd) {
+    return settingsTx("readwrite", (store) => store.put(dnd, "dnd"));
+}
 
-        setNewChatBusy(true);
-        try {
-            const roomRes = await client.createRoom({
-                invite: [mxid],
-                is_direct: true,
-                preset: "trusted_private_chat",
-                name: `DM with ${mxid}`,
+// deep link из уведомления: <base>#/room/<roomId>[?account=<userId>] (см. src/sw.js)
+function parseRoomDeepLink(hash) {
+    const m = /^#\/room\/([^?]+)(?:\?account=(.+))?$/.exec(hash || "");
+    if (!m) return null;
+    return { roomId: decodeURIComponent(m[1]), userId: m[2] ? decodeURIComponent(m[2]) : null };
+}
 
-                // E2E for DM
-                initial_state: [
-                    {
-                        type: "m.room.encryption",
-                        state_key: "",
-                        content: { algorithm: "m.megolm.v1.aes-sha2" },
-                    },
-                ],
-            });
+// -------------------- secret storage --------------------
+// 4S keys, введённые в этой вкладке. Только в памяти, SDK спрашивает их через cryptoCallbacks
+const secretStorageKeys = new Map();
 
-            const roomId = roomRes?.room_id || roomRes?.roomId;
-            setNewChatOpen(false);
-            setNewChatInput("");
-            if (roomId) setActiveRoomId(roomId);
-        } catch (e) {
-            alert(String(e?.message || e));
-        } finally {
-            setNewChatBusy(false);
-        }
+const cryptoCallbacks = {
+    getSecretStorageKey: async ({ keys }) => {
+        const keyId = Object.keys(keys).find((id) => secretStorageKeys.has(id));
+        return keyId ? [keyId, secretStorageKeys.get(keyId)] : null;
+    },
+    cacheSecretStorageKey: (keyId, keyInfo, key) => {
+        secretStorageKeys.set(keyId, key);
+    },
+};
+
+// Recovery key или passphrase -> ключ default 4S key (с проверкой)
+async function unlockSecretStorage(client, input) {
+    const tuple = await client.secretStorage.getKey();
+    if (!tuple) throw new Error("Secure backup is not set up for this account");
+    const [keyId, keyInfo] = tuple;
+
+    const v = (input || "").trim();
+    let key = null;
+    try {
+        key = decodeRecoveryKey(v);
+    } catch {
+        if (!keyInfo.passphrase) throw new Error("Invalid recovery key");
+        key = await deriveRecoveryKeyFromPassphrase(v, keyInfo.passphrase.salt, keyInfo.passphrase.iterations);
     }
 
-    const filteredRooms = useMemo(() => {
-        const q = query.trim().toLowerCase();
-        if (!q) return rooms;
-        return rooms.filter((r) => {
-            const name = (r.name || r.roomId || "").toLowerCase();
-            const last = (r.getLastLiveEvent?.()?.getContent?.()?.body || "").toLowerCase();
-            return name.includes(q) || last.includes(q);
-        });
-    }, [rooms, query]);
+    if (!(await client.secretStorage.checkKey(key, keyInfo))) {
+        throw new Error("Wrong recovery key or passphrase");
+    }
+    secretStorageKeys.set(keyId, key);
+}
 
-    // typing debounce/throttle
-    const typingTimerRef = useRef(null);
-    const typingActiveRef = useRef(false);
+// -------------------- helpers --------------------
+function normalizeHomeserver(hs) {
+    const v = (hs || "").trim();
+    if (!v) return "";
+    return v.startsWith("http://") || v.startsWith("https://") ? v : `https://${v}`;
+}
 
-    async function sendTyping(isTyping) {
-        if (!client || !activeRoomId) return;
-        try {
-            if (isTyping) {
-                if (!typingActiveRef.current) {
-                    typingActiveRef.current = true;
-                    await client.sendTyping(activeRoomId, true, 4000);
-                } else {
-                    await client.sendTyping(activeRoomId, true, 4000);
-                }
-            } else {
-                typingActiveRef.current = false;
-                await client.sendTyping(activeRoomId, false);
-            }
-        } catch {}
+function normalizeMxId(input, myUserId) {
+    const v = (input || "").trim();
+    if (!v) return "";
+    if (v.startsWith("@") && v.includes(":")) return v;
+
+    const myServer = (myUserId || "").split(":")[1] || "matrix.org";
+    const name = v.startsWith("@") ? v.slice(1) : v;
+    return `@${name}:${myServer}`;
+}
+
+// #alias:server, !roomid:server, https://matrix.to/#/<id>?via=..., matrix:r/alias:server -> { roomIdOrAlias, viaServers }
+function parseRoomLink(input) {
+    let v = (input || "").trim();
+    let query = "";
+
+    const matrixTo = /^https?:\/\/matrix\.to\/#\/(.+)$/i.exec(v);
+    if (matrixTo) v = matrixTo[1];
+    const uri = /^matrix:(r|roomid)\/(.+)$/i.exec(v);
+    if (uri) v = (uri[1].toLowerCase() === "r" ? "#" : "!") + uri[2];
+
+    const q = v.indexOf("?");
+    if (q >= 0) {
+        query = v.slice(q + 1);
+        v = v.slice(0, q);
     }
+    // matrix.to: /#/!room:server/$event — событие не нужно
+    v = decodeURIComponent(v.split("/")[0]);
+    // room ID в v12 без ":server"
+    if (!/^(#[^:]+:.+|!.+)$/.test(v)) return null;
 
-    function onComposerChange(next) {
-        setMessage(next);
+    const viaServers = new URLSearchParams(query).getAll("via");
+    return { roomIdOrAlias: v, viaServers };
+}
 
-        if (!next.trim()) {
-            if (typingTimerRef.current) clearTimeout(typingTimerRef.current);
-            typingTimerRef.current = setTimeout(() => {
-                sendTyping(false);
-            }, 200);
-            return;
-        }
+function formatTime(ts) {
+    if (!ts) return "";
+    const d = new Date(ts);
+    const hh = String(d.getHours()).padStart(2, "0");
+    const mm = String(d.getMinutes()).padStart(2, "0");
+    return `${hh}:${mm}`;
+}
 
-        sendTyping(true);
+function safeText(v) {
+    if (typeof v !== "string") return "";
+    return v;
+}
 
-        if (typingTimerRef.current) clearTimeout(typingTimerRef.current);
-        typingTimerRef.current = setTimeout(() => {
-            sendTyping(false);
-        }, 2200);
+function truncateMiddle(s, max = 22) {
+    if (!s || s.length <= max) return s;
+    const left = Math.ceil((max - 3) / 2);
+    const right = Math.floor((max - 3) / 2);
+    return `${s.slice(0, left)}...${s.slice(s.length - right)}`;
+}
+
+// Human-readable reason for an undecryptable (UTD) event
+function utdReason(ev) {
+    switch (ev?.decryptionFailureReason) {
+        case DecryptionFailureCode.MEGOLM_KEY_WITHHELD:
+            return "the sender withheld the keys";
+        case DecryptionFailureCode.MEGOLM_KEY_WITHHELD_FOR_UNVERIFIED_DEVICE:
+            return "the sender does not trust this device — verify it";
+        case DecryptionFailureCode.UNSIGNED_SENDER_DEVICE:
+        case DecryptionFailureCode.UNKNOWN_SENDER_DEVICE:
+        case DecryptionFailureCode.SENDER_IDENTITY_PREVIOUSLY_VERIFIED:
+            return "the sender's device is not verified";
+        case DecryptionFailureCode.HISTORICAL_MESSAGE_USER_NOT_JOINED:
+            return "you were not in the room when it was sent";
+        case DecryptionFailureCode.MEGOLM_UNKNOWN_INBOUND_SESSION_ID:
+        case DecryptionFailureCode.OLM_UNKNOWN_MESSAGE_INDEX:
+        case DecryptionFailureCode.HISTORICAL_MESSAGE_NO_KEY_BACKUP:
+        case DecryptionFailureCode.HISTORICAL_MESSAGE_BACKUP_UNCONFIGURED:
+        case DecryptionFailureCode.HISTORICAL_MESSAGE_WORKING_BACKUP:
+            return "missing keys";
+        default:
+            return "unknown error";
     }
+}
 
-    // -------------- render --------------
-    if (!session) {
-        return <Login onLogin={login} />;
+function shieldReasonText(reason) {
+    switch (reason) {
+        case EventShieldReason.UNVERIFIED_IDENTITY:
+            return "Encrypted by an unverified user";
+        case EventShieldReason.UNSIGNED_DEVICE:
+            return "Encrypted by a device not verified by its owner";
+        case EventShieldReason.UNKNOWN_DEVICE:
+            return "Encrypted by an unknown or deleted device";
+        case EventShieldReason.AUTHENTICITY_NOT_GUARANTEED:
+            return "Authenticity of this message can't be guaranteed on this device";
+        case EventShieldReason.VERIFICATION_VIOLATION:
+            return "Sender's verified identity has changed";
+        default:
+            return "Encrypted message with unknown trust";
     }
+}
 
-    const shellStyle = {
-        height: "100vh",
-        fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
-        background: "#fff",
-        color: "#111",
+// UIA для загрузки cross-signing ключей: сначала без auth, при 401 — паролем
+function passwordAuth(myUserId, password) {
+    return async (makeRequest) => {
+        try {
+            await makeRequest(null);
+        } catch (e) {
+            if (e?.httpStatus !== 401 || !e?.data?.flows) throw e;
+            await makeRequest({
+                type: "m.login.password",
+                identifier: { type: "m.id.user", user: myUserId },
+                password,
+                session: e.data.session,
+            });
+        }
     };
+}
 
-    // Mobile
-    if (isMobile) {
-        return (
-            <div style={shellStyle}>
-                <TopBar
-                    title="HappyChat"
-                    right={
-                        <>
-                            <Btn onClick={() => setNewChatOpen(true)}>New</Btn>
-                            <Btn onClick={logout} subtle>
-                                Logout
-                            </Btn>
-                        </>
-                    }
-                />
+// Что рисуем пузырём. m.room.encrypted = ещё расшифровывается (после расшифровки getType() отдаёт m.room.message)
+function isMessageEvent(e) {
+    const type = e.getType?.();
+    if (type !== "m.room.encrypted" && type !== "m.room.message") return false;
+    // правки (m.replace) SDK применяет к оригиналу, отдельным пузырём не рисуем
+    if (e.isRelation?.("m.replace")) return false;
+    // удалённые остаются в ленте как tombstone
+    if (type === "m.room.encrypted" || e.isRedacted?.()) return true;
+    return !!(e.isDecryptionFailure?.() || e.getContent?.()?.msgtype === "m.text" || e.getContent?.()?.body);
+}
 
-                {!activeRoomId ? (
-                    <div style={{ padding: 12 }}>
-                        <SearchBox value={query} onChange={setQuery} />
-                        <div style={{ height: 10 }} />
-                        <RoomList
-                            rooms={filteredRooms}
-                            activeRoomId={null}
-                            onOpen={(id) => setActiveRoomId(id)}
-                            roomAvatarUrl={roomAvatarUrl}
+// старые клиенты кладут цитату в body ("> <@user> text" + пустая строка)
+function stripReplyFallback(body) {
+    const lines = (body || "").split("\n");
+    let i = 0;
+    while (i < lines.length && lines[i].startsWith(">")) i++;
+    if (i === 0) return body;
+    if (lines[i] === "") i++;
+    return lines.slice(i).join("\n");
+}
+
+// та же цитата, разобранная обратно: { sender, text } из "> <@user:server> text" — когда оригинал недоступен
+function parseReplyFallback(body) {
+    const quoted = [];
+    for (const line of (body || "").split("\n")) {
+        if (!line.startsWith(">")) break;
+        quoted.push(line.replace(/^> ?/, ""));
+    }
+    const m = /^(?:\* )?<(@[^>]+)> ?(.*)$/s.exec(quoted.join("\n"));
+    return m ? { sender: m[1], text: m[2].replace(/\s+/g, " ").trim() } : null;
+}
+
+// Однострочное превью события (reply-цитата, треды, список комнат)
+function previewText(ev, max = 80) {
+    if (!ev) return "";
+    if (ev.isRedacted?.()) return "🗑 Message deleted";
+    if (ev.isDecryptionFailure?.()) return "🔒 Unable to decrypt";
+    if (ev.getType?.() === "m.room.encrypted") return "🔒 Encrypted message";
+    const content = ev.getContent?.() || {};
+    let text = safeText(content.body);
+    if (MEDIA_MSGTYPES.includes(content.msgtype)) text = `📎 ${content.filename || text || "file"}`;
+    else if (content["m.relates_to"]?.["m.in_reply_to"]) text = stripReplyFallback(text);
+    text = text.replace(/\s+/g, " ").trim();
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// copy, чтобы React видел новый массив после пагинации.
+// pendingEventOrdering: "detached" -> local echo живут отдельно, дописываем их в конец (ответы в тредах — в ThreadPanel)
+function liveEvents(room) {
+    if (!room) return [];
+    const live = room.getLiveTimeline?.().getEvents?.() || [];
+    const pending = (room.getPendingEvents?.() || []).filter((e) => !e.threadRootId || e.isThreadRoot);
+    return live.concat(pending);
+}
+
+// -------------------- media --------------------
+const MEDIA_MSGTYPES = ["m.image", "m.video", "m.audio", "m.file"];
+const THUMB_MAX_W = 800;
+const THUMB_MAX_H = 600;
+
+// unpadded base64 (как в EncryptedFile)
+function toBase64(buf) {
+    const bytes = new Uint8Array(buf);
+    let bin = "";
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/=+$/, "");
+}
+
+function fromBase64(s) {
+    const v = (s || "").replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(v + "===".slice((v.length + 3) % 4));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+}
+
+// EncryptedFile v2: AES-CTR-256, IV с нулевой младшей половиной (счётчик), SHA-256 от ciphertext
+async function encryptAttachment(plain) {
+    const subtle = window.crypto.subtle;
+    const key = await subtle.generateKey({ name: "AES-CTR", length: 256 }, true, ["encrypt", "decrypt"]);
+    const iv = new Uint8Array(16);
+    window.crypto.getRandomValues(iv.subarray(0, 8));
+
+    const data = await subtle.encrypt({ name: "AES-CTR", counter: iv, length: 64 }, key, plain);
+    const hash = await subtle.digest("SHA-256", data);
+    const jwk = await subtle.exportKey("jwk", key);
+
+    return {
+        data,
+        info: {
+            v: "v2",
+            key: { kty: "oct", key_ops: ["encrypt", "decrypt"], alg: "A256CTR", k: jwk.k, ext: true },
+            iv: toBase64(iv),
+            hashes: { sha256: toBase64(hash) },
+        },
+    };
+}
+
+async function decryptAttachment(data, file) {
+    const subtle = window.crypto.subtle;
+    const expected = file?.hashes?.sha256;
+    if (!expected) throw new Error("Encrypted file has no sha256 hash");
+    const actual = toBase64(await subtle.digest("SHA-256", data));
+    if (actual !== expected.replace(/=+$/, "")) throw new Error("Encrypted file hash mismatch");
+
+    const key = await subtle.importKey("jwk", file.key, { name: "AES-CTR" }, false, ["encrypt", "decrypt"]);
+    return subtle.decrypt({ name: "AES-CTR", counter: fromBase64(file.iv), length: 64 }, key, data);
+}
+
+// Authenticated media (/_matrix/client/v1/media): нужен Authorization header, поэтому fetch -> blob
+async function fetchMedia(client, mxc, width, height) {
+    const url = width
+        ? client.mxcUrlToHttp(mxc, width, height, "scale", false, true, true)
+        : client.mxcUrlToHttp(mxc, undefined, undefined, undefined, false, true, true);
+    if (!url) throw new Error("Invalid media URL");
+    const res = await fetch(url, { headers: { Authorization: `Bearer ${client.getAccessToken()}` } });
+    if (!res.ok) throw new Error(`Media download failed (${res.status})`);
+    return res.arrayBuffer();
+}
+
+// EncryptedFile (file) или mxc (url); то же для thumbnail
+function mediaSources(content) {
+    const info = content.info || {};
+    return {
+        source: content.file ? { file: content.file } : content.url ? { url: content.url } : null,
+        thumbSource: info.thumbnail_file ? { file: info.thumbnail_file } : info.thumbnail_url ? { url: info.thumbnail_url } : null,
+    };
+}
+
+// source: { url } (mxc) или { file } (EncryptedFile)
+async function loadMediaBlob(client, source, mimetype, thumbSize) {
+    if (source.file) {
+        const data = await fetchMedia(client, source.file.url);
+        const plain = await decryptAttachment(data, source.file);
+        return new Blob([plain], { type: mimetype || "application/octet-stream" });
+    }
+    const data = await fetchMedia(client, source.url, thumbSize?.width, thumbSize?.height);
+    return new Blob([data], { type: mimetype || "application/octet-stream" });
+}
+
+function canvasToBlob(canvas, type = "image/jpeg", quality = 0.8) {
+    return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+}
+
+function blurhashFromSource(source, w, h) {
+    const bw = 32;
+    const bh = Math.max(1, Math.round((bw * h) / w));
+    const canvas = document.createElement("canvas");
+    canvas.width = bw;
+    canvas.height = bh;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(source, 0, 0, bw, bh);
+    return encodeBlurhash(ctx.getImageData(0, 0, bw, bh).data, bw, bh, 4, 3);
+}
+
+// Thumbnail (только если картинка больше THUMB_MAX_*) + blurhash
+async function makeThumbnail(source, w, h) {
+    const info = { "xyz.amorgan.blurhash": blurhashFromSource(source, w, h) };
+    if (w <= THUMB_MAX_W && h <= THUMB_MAX_H) return { info, thumbnail: null };
+
+    const scale = Math.min(THUMB_MAX_W / w, THUMB_MAX_H / h);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(w * scale);
+    canvas.height = Math.round(h * scale);
+    canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+    const blob = await canvasToBlob(canvas);
+    if (!blob) return { info, thumbnail: null };
+    return {
+        info,
+        thumbnail: blob,
+        thumbnailInfo: { w: canvas.width, h: canvas.height, mimetype: blob.type, size: blob.size },
+    };
+}
+
+async function readImageMeta(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        const { width: w, height: h } = bitmap;
+        const thumb = await makeThumbnail(bitmap, w, h);
+        return { w, h, ...thumb };
+    } finally {
+        bitmap.close?.();
+    }
+}
+
+// video/audio: размеры, длительность, кадр для превью
+function readAVMeta(file, kind) {
+    return new Promise((resolve) => {
+        const el = document.createElement(kind);
+        const url = URL.createObjectURL(file);
+        const done = (meta) => {
+            URL.revokeObjectURL(url);
+            resolve(meta);
+        };
+        el.preload = "metadata";
+        el.muted = true;
+        el.onerror = () => done({});
+        el.onloadeddata = async () => {
+            const meta = { duration: Number.isFinite(el.duration) ? Math.round(el.duration * 1000) : undefined };
+            if (kind !== "video" || !el.videoWidth) return done(meta);
+            try {
+                done({ ...meta, w: el.videoWidth, h: el.videoHeight, ...(await makeThumbnail(el, el.videoWidth, el.videoHeight)) });
+            } catch {
+                done({ ...meta, w: el.videoWidth, h: el.videoHeight });
+            }
+        };
+        el.src = url;
+    });
+}
+
+// Upload (в E2E-комнате — зашифрованный) -> { url } или { file }
+async function uploadMedia(client, blob, { name, encrypted, onProgress }) {
+    if (!encrypted) {
+        const res = await client.uploadContent(blob, { name, type: blob.type, progressHandler: onProgress });
+        return { url: res.content_uri };
+    }
+    const { data, info } = await encryptAttachment(await blob.arrayBuffer());
+    const res = await client.uploadContent(new Blob([data]), {
+        type: "application/octet-stream",
+        includeFilename: false,
+        progressHandler: onProgress,
+    });
+    return { file: { ...info, url: res.content_uri } };
+}
+
+async function buildMediaContent(client, file, { encrypted, onProgress }) {
+    const mimetype = file.type || "application/octet-stream";
+    const msgtype = mimetype.startsWith("image/")
+        ? "m.image"
+        : mimetype.startsWith("video/")
+          ? "m.video"
+          : mimetype.startsWith("audio/")
+            ? "m.audio"
+            : "m.file";
+
+    const info = { mimetype, size: file.size };
+    let meta = {};
+    try {
+        if (msgtype === "m.image") meta = await readImageMeta(file);
+        else if (msgtype === "m.video") meta = await readAVMeta(file, "video");
+        else if (msgtype === "m.audio") meta = await readAVMeta(file, "audio");
+    } catch (e) {
+        console.warn("Media metadata failed:", e);
+    }
+    if (meta.w) Object.assign(info, { w: meta.w, h: meta.h });
+    if (meta.duration) info.duration = meta.duration;
+    if (meta.info) Object.assign(info, meta.info);
+
+    const main = await uploadMedia(client, file, { name: file.name, encrypted, onProgress });
+
+    if (meta.thumbnail) {
+        const thumb = await uploadMedia(client, meta.thumbnail, { name: "thumbnail.jpg", encrypted });
+        if (thumb.file) info.thumbnail_file = thumb.file;
+        else info.thumbnail_url = thumb.url;
+        info.thumbnail_info = meta.thumbnailInfo;
+    }
+
+    return { msgtype, body: file.name || "file", filename: file.name, info, ...main };
+}
+
+function formatBytes(n) {
+    if (!n && n !== 0) return "";
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function blurhashDataUrl(hash) {
+    try {
+        const pixels = decodeBlurhash(hash, 32, 32);
+        const canvas = document.createElement("canvas");
+        canvas.width = 32;
+        canvas.height = 32;
+        const ctx = canvas.getContext("2d");
+        const img = ctx.createImageData(32, 32);
+        img.data.set(pixels);
+        ctx.putImageData(img, 0, 0);
+        return canvas.toDataURL();
+    } catch {
+        return null;
+    }
+}
+
+// -------------------- rich text --------------------
+const HTML_FORMAT = "org.matrix.custom.html";
+
+function escapeHtml(s) {
+    return String(s)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// ||spoiler|| -> <span data-mx-spoiler>
+const spoilerExtension = {
+    name: "spoiler",
+    level: "inline",
+    start(src) {
+        const i = src.indexOf("||");
+        return i < 0 ? undefined : i;
+    },
+    tokenizer(src) {
+        const m = /^\|\|([^|\n]+?)\|\|/.exec(src);
+        if (m) return { type: "spoiler", raw: m[0], tokens: this.lexer.inlineTokens(m[1]) };
+    },
+    renderer(token) {
+        return `<span data-mx-spoiler>${this.parser.parseInline(token.tokens)}</span>`;
+    },
+};
+
+// сырой HTML в сообщении не пропускаем — показываем как текст
+const markdown = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: {
+        html({ text }) {
+            return escapeHtml(text);
+        },
+    },
+    extensions: [spoilerExtension],
+});
+
+// m.text content из текста композера (Markdown -> formatted_body) + опциональный m.relates_to
+function buildTextContent(text, relatesTo) {
+    const content = { msgtype: "m.text", body: text };
+    const html = markdownToHtml(text);
+    if (html) Object.assign(content, { format: HTML_FORMAT, formatted_body: html });
+    if (relatesTo) content["m.relates_to"] = relatesTo;
+    return content;
+}
+
+// m.replace: fallback "* text" для старых клиентов + m.new_content
+function buildEditContent(original, text) {
+    const newContent = buildTextContent(text);
+    const content = {
+        msgtype: "m.text",
+        body: `* ${text}`,
+        "m.new_content": newContent,
+        "m.relates_to": { rel_type: "m.replace", event_id: original.getId() },
+    };
+    if (newContent.formatted_body) {
+        Object.assign(content, { format: HTML_FORMAT, formatted_body: `* ${newContent.formatted_body}` });
+    }
+    return content;
+}
+
+// текст для редактирования (без reply fallback)
+function editableText(ev) {
+    const content = ev?.getContent?.() || {};
+    const body = safeText(content.body);
+    return content["m.relates_to"]?.["m.in_reply_to"] ? stripReplyFallback(body) : body;
+}
+
+// свои текстовые, не удалённые и расшифрованные
+function canEditEvent(ev, myUserId) {
+    if (!ev?.getId?.() || ev.getSender?.() !== myUserId) return false;
+    if (ev.isRedacted?.() || ev.isDecryptionFailure?.() || ev.getType?.() !== "m.room.message") return false;
+    return ["m.text", "m.emote", "m.notice"].includes(ev.getContent?.()?.msgtype);
+}
+
+// null, если Markdown ничего не форматирует (тогда шлём только body)
+function markdownToHtml(text) {
+    const html = markdown.parse(text).trim();
+    const plain = html.replace(/^<p>([\s\S]*)<\/p>$/, "$1").replace(/<br>/g, "\n");
+    return plain === escapeHtml(text) ? null : html;
+}
+
+// Matrix spec (Client-Server API, m.room.message msgtypes): допустимые теги и атрибуты
+const HTML_TAGS = new Set([
+    "font", "del", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "p", "a", "ul", "ol", "sup", "sub", "li",
+    "b", "i", "u", "strong", "em", "s", "code", "hr", "br", "div", "table", "thead", "tbody", "tr", "th", "td",
+    "caption", "pre", "span", "img", "details", "summary",
+]);
+// вместе с содержимым
+const HTML_DROP_TAGS = new Set(["mx-reply", "script", "style", "iframe", "object", "embed", "template", "noscript", "title"]);
+const HTML_VOID_TAGS = new Set(["br", "hr", "img"]);
+const LINK_SCHEMES = ["https:", "http:", "ftp:", "mailto:", "magnet:"];
+const MAX_HTML_DEPTH = 100;
+
+const htmlTagStyles = {
+    pre: { background: "rgba(127,127,127,0.15)", padding: 8, borderRadius: 8, overflowX: "auto", whiteSpace: "pre" },
+    code: { fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: "0.92em" },
+    blockquote: { margin: "4px 0", paddingLeft: 10, borderLeft: "3px solid rgba(127,127,127,0.5)" },
+    p: { margin: "0 0 4px" },
+    ul: { margin: "4px 0", paddingLeft: 20 },
+    ol: { margin: "4px 0", paddingLeft: 20 },
+    table: { borderCollapse: "collapse" },
+    th: { border: "1px solid rgba(127,127,127,0.4)", padding: "2px 6px" },
+    td: { border: "1px solid rgba(127,127,127,0.4)", padding: "2px 6px" },
+};
+
+function safeColor(v) {
+    return /^#[0-9a-f]{6}$/i.test(v || "") ? v : null;
+}
+
+function safeHref(href) {
+    try {
+        const u = new URL(href);
+        return LINK_SCHEMES.includes(u.protocol) ? u.href : null;
+    } catch {
+        return null;
+    }
+}
+
+// https://matrix.to/#/@user:server -> "@user:server"
+function mentionFromHref(href) {
+    const m = /^https:\/\/matrix\.to\/#\/(@[^/?]+)/.exec(href || "");
+    return m ? decodeURIComponent(m[1]) : null;
+}
+
+// formatted_body -> React elements. Парсим в inert document (DOMParser) и собираем только разрешённое;
+// dangerouslySetInnerHTML не используем вообще
+function renderSafeHtml(html, ctx) {
+    const doc = new DOMParser().parseFromString(html || "", "text/html");
+    return htmlChildren(doc.body, ctx, 0);
+}
+
+function htmlChildren(node, ctx, depth) {
+    return Array.from(node.childNodes).map((child, i) => htmlNode(child, ctx, depth, i));
+}
+
+function htmlNode(node, ctx, depth, key) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.tagName.toLowerCase();
+    if (HTML_DROP_TAGS.has(tag)) return null;
+    // неизвестный тег / слишком глубоко -> оставляем только содержимое
+    if (!HTML_TAGS.has(tag) || depth >= MAX_HTML_DEPTH) {
+        return <React.Fragment key={key}>{htmlChildren(node, ctx, depth + 1)}</React.Fragment>;
+    }
+
+    const children = HTML_VOID_TAGS.has(tag) ? undefined : htmlChildren(node, ctx, depth + 1);
+    const attr = (name) => node.getAttribute(name);
+    const style = { ...htmlTagStyles[tag] };
+    const props = { key };
+
+    if (tag === "a") {
+        const href = safeHref(attr("href"));
+        const mention = href ? mentionFromHref(href) : null;
+        if (mention) {
+            return (
+                <MentionPill key={key} userId={mention} label={ctx.displayName?.(mention)} isMe={mention === ctx.myUserId} />
+            );
+        }
+        if (href) {
+            props.href = href;
+            props.target = "_blank";
+            props.rel = "noopener noreferrer";
+        }
+        style.color = "inherit";
+        style.textDecoration = "underline";
+    } else if (tag === "span" && node.hasAttribute("data-mx-spoiler")) {
+        return (
+            <Spoiler key={key} reason={attr("data-mx-spoiler")}>
+                {children}
+            </Spoiler>
+        );
+    } else if (tag === "img") {
+        const src = attr("src") || "";
+        // только mxc:// (внешние картинки = трекинг)
+        if (!src.startsWith("mxc://")) return attr("alt") || null;
+        return (
+            <MxcImage
+                key={key}
+                client={ctx.client}
+                mxc={src}
+                alt={attr("alt") || attr("title") || ""}
+                width={parseInt(attr("width"), 10) || undefined}
+                height={parseInt(attr("height"), 10) || undefined}
+            />
+        );
+    } else if (tag === "ol") {
+        const start = parseInt(attr("start"), 10);
+        if (Number.isFinite(start)) props.start = start;
+    } else if (tag === "code") {
+        const cls = attr("class") || "";
+        if (/^language-[\w-]+$/.test(cls)) props.className = cls;
+        if (node.parentElement?.tagName.toLowerCase() !== "pre") {
+            Object.assign(style, { background: "rgba(127,127,127,0.15)", padding: "0 4px", borderRadius: 4 });
+        }
+    }
+
+    if (tag === "font" || tag === "span") {
+        const color = safeColor(attr("data-mx-color")) || (tag === "font" ? safeColor(attr("color")) : null);
+        const bg = safeColor(attr("data-mx-bg-color"));
+        if (color) style.color = color;
+        if (bg) style.background = bg;
+    }
+
+    props.style = style;
+    return React.createElement(tag, props, children);
+}
+
+// -------------------- reactions --------------------
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// emoji + ключевые слова для поиска в picker
+const EMOJI_LIST = `
+👍 thumbs up like yes ok|👎 thumbs down dislike no|❤️ heart love red|🧡 orange heart|💛 yellow heart|💚 green heart|💙 blue heart
+💜 purple heart|🖤 black heart|💔 broken heart|😀 grin smile happy|😃 smile happy joy|😄 smile laugh happy|😁 grin beam
+😆 laugh satisfied|😅 sweat smile relief|😂 joy tears laugh lol|🤣 rofl rolling laugh|🙂 slight smile|😉 wink|😊 blush smile
+😇 angel innocent|🥰 love hearts smile|😍 heart eyes love|🤩 star struck wow|😘 kiss blow|😋 yum tasty|😛 tongue|😜 wink tongue
+🤪 zany crazy|🤔 thinking hmm|🤨 raised eyebrow suspicious|😐 neutral meh|😑 expressionless|😶 no mouth silent|🙄 eye roll
+😏 smirk|😬 grimace awkward|😌 relieved|😔 pensive sad|😪 sleepy|😴 sleeping zzz|😷 mask sick|🤒 thermometer ill|🤯 mind blown
+🥳 party celebrate|😎 cool sunglasses|🤓 nerd geek|🧐 monocle|😕 confused|😟 worried|🙁 frown|😮 open mouth wow surprised
+😯 hushed|😲 astonished shocked|😳 flushed embarrassed|🥺 pleading puppy eyes|😦 frowning|😧 anguished|😨 fearful scared
+😰 anxious sweat|😥 sad relieved|😢 cry tear sad|😭 sob crying|😱 scream fear|😖 confounded|😣 persevere|😞 disappointed
+😓 downcast sweat|😩 weary|😫 tired|🥱 yawn bored|😤 triumph huff|😡 angry rage|😠 angry mad|🤬 swearing cursing|😈 devil smile
+💀 skull dead|💩 poop|🤡 clown|👻 ghost|👽 alien|🤖 robot|🙈 see no evil monkey|🙉 hear no evil|🙊 speak no evil
+👋 wave hello bye|🤚 raised back hand|✋ raised hand stop high five|👌 ok perfect|🤌 pinched fingers|✌️ victory peace
+🤞 crossed fingers luck|🤟 love you gesture|🤘 rock horns|🤙 call me|👈 point left|👉 point right|👆 point up|👇 point down
+☝️ index up|👏 clap applause|🙌 raised hands hooray|👐 open hands|🤲 palms up|🤝 handshake deal|🙏 pray please thanks
+💪 muscle strong flex|🧠 brain smart|👀 eyes look|👁️ eye|🔥 fire hot lit|✨ sparkles|⭐ star|🌟 glowing star|💯 hundred perfect
+✅ check done yes|❌ cross no wrong|❗ exclamation|❓ question|⚠️ warning|🚀 rocket launch ship|🎉 tada party congrats
+🎊 confetti|🎁 gift present|🏆 trophy win|🥇 gold medal first|⚡ zap lightning|💡 idea bulb|📌 pin|📎 paperclip|🔒 lock secure
+🔑 key|🛡️ shield|⏰ alarm clock|⌛ hourglass wait|📅 calendar date|☕ coffee|🍺 beer|🍻 cheers beers|🍷 wine|🍕 pizza
+🍔 burger|🍰 cake|🎂 birthday cake|🍎 apple|🍌 banana|🌈 rainbow|☀️ sun|🌙 moon night|❄️ snow cold|🌧️ rain|🌊 wave ocean
+🐶 dog puppy|🐱 cat kitten|🦊 fox|🐻 bear|🐼 panda|🐸 frog|🐵 monkey|🦄 unicorn|🐝 bee|🐢 turtle slow|🙃 upside down
+🤗 hug|🤭 hand over mouth oops|🤫 shush quiet|🤥 lying|🫡 salute|🫠 melting|🫶 heart hands|💬 speech chat|👑 crown king
+`
+    .trim()
+    .split(/\||\n/)
+    .map((entry) => {
+        const [emoji, ...words] = entry.trim().split(" ");
+        return { emoji, keywords: words.join(" ") };
+    });
+
+// -------------------- App --------------------
+export default function App() {
+    const [session, setSession] = useState(loadSession());
+    const [client, setClient] = useState(null);
+    // все сохранённые аккаунты; клиент поднимается только для активного
+    const [accounts, setAccounts] = useState(loadSessions);
+    const [addingAccount, setAddingAccount] = useState(false);
+    // userId -> непрочитанное у фоновых аккаунтов (watchUnread); null = токен отозван
+    const [backgroundUnread, setBackgroundUnread] = useState({});
+    // сервер больше не принимает токен: { soft, error } (soft_logout -> переавторизация в тот же device)
+    const [sessionEnded, setSessionEnded] = useState(null);
+    // app lock: сессии зашифрованы PIN-ом; locked -> в памяти нет ни токенов, ни ключа
+    const [locked, setLocked] = useState(isAppLockEnabled);
+    const [lockEnabled, setLockEnabled] = useState(isAppLockEnabled);
+    const [lockIdleMinutes, setLockIdleMinutes] = useState(appLockIdleMinutes);
+
+    const [rooms, setRooms] = useState([]);
+    const [activeRoomId, setActiveRoomId] = useState(null);
+    const [events, setEvents] = useState([]);
+
+    // back-pagination
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [reachedStart, setReachedStart] = useState(false);
+    const paginatingRef = useRef(false);
+
+    const [message, setMessage] = useState("");
+    // текущая загрузка вложения: { name, loaded, total }
+    const [upload, setUpload] = useState(null);
+    // reply (MatrixEvent) и открытый тред (root event id)
+    const [replyTo, setReplyTo] = useState(null);
+    const [threadRootId, setThreadRootId] = useState(null);
+    // edit / delete / история правок (MatrixEvent)
+    const [editing, setEditing] = useState(null);
+    const [deleting, setDeleting] = useState(null);
+    const [historyEvent, setHistoryEvent] = useState(null);
+    // emoji picker для реакции на событие
+    const [reactingTo, setReactingTo] = useState(null);
+    const [privateReceipts, setPrivateReceipts] = useState(loadPrivateReceipts);
+    const [roomInfoOpen, setRoomInfoOpen] = useState(false);
+    const [profileOpen, setProfileOpen] = useState(false);
+    // "group" | "join" | "directory"
+    const [roomDialog, setRoomDialog] = useState(null);
+
+    // UI
+    const [query, setQuery] = useState("");
+    const [isMobile, setIsMobile] = useState(
+        typeof window !== "undefined" ? window.innerWidth < 900 : false
+    );
+
+    const [newChatOpen, setNewChatOpen] = useState(false);
+    const [newChatInput, setNewChatInput] = useState("");
+    const [newChatBusy, setNewChatBusy] = useState(false);
+
+    const [typingUsers, setTypingUsers] = useState([]);
+
+    // первый sync после login() -> проверяем key backup
+    const freshLoginRef = useRef(false);
+
+    // возврат с SSO / OIDC на /auth/callback
+    const [authCallback, setAuthCallback] = useState(isAuthCallback);
+    const [authError, setAuthError] = useState("");
+
+    const onAuthSession = useEffectEvent((s) => startSession(s));
+    useEffect(() => {
+        // сессию некуда сохранить, пока хранилище не расшифровано
+        if (!authCallback || locked) return;
+        completeAuthCallback()
+            .then((s) => {
+                if (s) onAuthSession(s);
+            })
+            .catch((e) => setAuthError(String(e?.message || e)))
+            .finally(() => setAuthCallback(false));
+    }, [authCallback, locked]);
+
+    // E2E verification
+    const [verificationRequest, setVerificationRequest] = useState(null);
+    const [securityOpen, setSecurityOpen] = useState(false);
+    // bump -> shields/статусы доверия пересчитываются
+    const [trustVersion, setTrustVersion] = useState(0);
+    // sync в ERROR/RECONNECTING или браузер offline -> сообщения копятся в outbox
+    const [offline, setOffline] = useState(!navigator.onLine);
+
+    const myUserId = session?.userId || null;
+
+    // из rooms, а не client.getRoom: комната появляется в клиенте только после sync
+    const activeRoom = useMemo(() => (activeRoomId ? rooms.find((r) => r.roomId === activeRoomId) || null : null), [rooms, activeRoomId]);
+
+    // listeners живут всё время жизни клиента, поэтому читают актуальные значения из refs
+    const activeRoomIdRef = useRef(activeRoomId);
+    const isMobileRef = useRef(isMobile);
+    useEffect(() => {
+        activeRoomIdRef.current = activeRoomId;
+        isMobileRef.current = isMobile;
+    }, [activeRoomId, isMobile]);
+
+    // Resize -> mobile
+    useEffect(() => {
+        function onResize() {
+            setIsMobile(window.innerWidth < 900);
+        }
+        window.addEventListener("resize", onResize);
+        return () => window.removeEventListener("resize", onResize);
+    }, []);
+
+    // displayname helper
+    const senderDisplayName = useCallback((room, senderId) => {
+        if (!room || !senderId) return senderId || "";
+        try {
+            const m = room.getMember?.(senderId);
+            const n = m?.name || m?.rawDisplayName || m?.displayName;
+            return n || senderId;
+        } catch {
+            return senderId;
+        }
+    }, []);
+
+    // roomId -> собеседник по m.direct; SDK кладёт новый MatrixEvent на каждое обновление account data
+    const directEvent = client?.getAccountData("m.direct");
+    const directRooms = useMemo(() => directRoomIndex(directEvent), [directEvent]);
+
+    // DM показываем как собеседника, а не по имени комнаты
+    const roomDisplayName = useCallback(
+        (room) => {
+            if (!room) return "";
+            const partner = dmPartner(room, myUserId, directRooms);
+            if (partner) return senderDisplayName(room, partner);
+            return room.name || room.roomId;
+        },
+        [myUserId, directRooms, senderDisplayName]
+    );
+
+    // User собеседника в DM: presence, статус, last active
+    function dmPartnerUser(room) {
+        if (!client || !room) return null;
+        const partner = dmPartner(room, myUserId, directRooms);
+        return partner ? client.getUser(partner) : null;
+    }
+
+    // room avatar helper
+    function roomAvatarUrl(room, size = 64) {
+        if (!client || !room) return null;
+        try {
+            const partner = dmPartner(room, myUserId, directRooms);
+            const partnerAvatar = partner
+                ? room.getMember?.(partner)?.getAvatarUrl?.(client.getHomeserverUrl(), size, size, "scale", false, false)
+                : null;
+            if (partnerAvatar) return partnerAvatar;
+            const url = room.getAvatarUrl?.(
+                client.getHomeserverUrl(),
+                size,
+                size,
+                "scale",
+                true
+            );
+            return url || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // Фоновые аккаунты: только счётчики непрочитанного.
+    // Сессии читаем из storage, а не из state: токены могли обновиться (OIDC refresh)
+    useEffect(() => {
+        const stops = loadSessions()
+            .filter((a) => a.userId !== myUserId)
+            .map((a) =>
+                watchUnread(
+                    a,
+                    (n) => setBackgroundUnread((prev) => (prev[a.userId] === n ? prev : { ...prev, [a.userId]: n })),
+                    () => setBackgroundUnread((prev) => ({ ...prev, [a.userId]: null }))
+                )
+            );
+        return () => stops.forEach((stop) => stop());
+    }, [accounts, myUserId]);
+
+    // общий счётчик по всем аккаунтам: заголовок вкладки + badge на иконке PWA
+    const activeUnread = rooms.reduce((n, r) => n + (r.getUnreadNotificationCount?.() || 0), 0);
+    const totalUnread = accounts
+        .filter((a) => a.userId !== myUserId)
+        .reduce((n, a) => n + (backgroundUnread[a.userId] || 0), activeUnread);
+    useEffect(() => {
+        document.title = totalUnread ? `(${totalUnread}) HappyChat` : "HappyChat";
+        if (totalUnread) navigator.setAppBadge?.(totalUnread).catch(() => {});
+        else navigator.clearAppBadge?.().catch(() => {});
+    }, [totalUnread]);
+
+    // Start client from session + init E2E
+    useEffect(() => {
+        if (!session) return;
+
+        // кэш /sync: комнаты и последние сообщения видны сразу (и offline), sync догоняет в фоне
+        const store = new sdk.IndexedDBStore({
+            indexedDB: window.indexedDB,
+            dbName: `${userDbPrefix(session.userId)}_sync`,
+        });
+
+        const c = sdk.createClient({
+            baseUrl: session.baseUrl,
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken,
+            tokenRefreshFunction: makeTokenRefreshFunction(session),
+            userId: session.userId,
+            deviceId: session.deviceId,
+            store,
+            cryptoCallbacks,
+        });
+
+        setClient(c);
+
+        const updateRooms = () => {
+            const rs = c
+                .getRooms()
+                .slice()
+                .sort((a, b) => {
+                    const ta = a.getLastActiveTimestamp?.() || 0;
+                    const tb = b.getLastActiveTimestamp?.() || 0;
+                    return tb - ta;
+                });
+            setRooms(rs);
+
+            // desktop auto-open first room (не приглашение)
+            const first = rs.find((r) => r.getMyMembership() === "join");
+            if (!isMobileRef.current && !activeRoomIdRef.current && first) setActiveRoomId(first.roomId);
+        };
+
+        const updateTypingForActive = () => {
+            const activeRoomId = activeRoomIdRef.current;
+            if (!activeRoomId) {
+                setTypingUsers([]);
+                return;
+            }
+            const room = c.getRoom(activeRoomId);
+            if (!room) {
+                setTypingUsers([]);
+                return;
+            }
+            const typing = room.getTypingMembers?.() || [];
+            const names = typing
+                .map((m) => m?.name || m?.rawDisplayName || m?.displayName || m?.userId)
+                .filter((n) => n)
+                .filter((n) => n !== myUserId) // грубо, но нормально для UI
+                .slice(0, 3);
+            setTypingUsers(names);
+        };
+
+        // NOT_SENT local echo по порядку; SDK сам после ConnectionError не повторяет
+        const resendFailed = () => {
+            for (const room of c.getRooms()) {
+                for (const ev of room.getPendingEvents()) {
+                    if (ev.status === sdk.EventStatus.NOT_SENT) c.resendEvent(ev, room).catch(() => {});
+                }
+            }
+        };
+
+        // outbox с прошлой загрузки: то, что уже дошло (transaction_id в unsigned), просто забываем
+        let outboxRestored = false;
+        const restoreOutbox = async () => {
+            let items = [];
+            try {
+                items = await outboxList(c.getUserId());
+            } catch (e) {
+                console.warn("Outbox read failed:", e);
+            }
+            for (const item of items) {
+                const room = c.getRoom(item.roomId);
+                if (!room || room.getMyMembership() !== "join") {
+                    outboxDelete(item.txnId);
+                    continue;
+                }
+                if (room.getPendingEvents().some((e) => e.getTxnId() === item.txnId)) continue;
+                const delivered = room
+                    .getLiveTimeline()
+                    .getEvents()
+                    .some((e) => e.getUnsigned()?.transaction_id === item.txnId);
+                if (delivered) {
+                    outboxDelete(item.txnId);
+                    continue;
+                }
+                c.sendEvent(item.roomId, item.threadId, "m.room.message", item.content, item.txnId).catch(() => {});
+            }
+        };
+
+        const onSync = (state, prevState) => {
+            setOffline(state === "ERROR" || state === "RECONNECTING" || !navigator.onLine);
+            if (state === "SYNCING" && (prevState === "ERROR" || prevState === "RECONNECTING")) resendFailed();
+            if (state === "PREPARED") {
+                updateRooms();
+                updateTypingForActive();
+                if (!outboxRestored) {
+                    outboxRestored = true;
+                    restoreOutbox();
+                }
+
+                // после логина: нет бэкапа ключей или он не подключён к этой сессии -> предложить настроить/восстановить
+                if (freshLoginRef.current) {
+                    freshLoginRef.current = false;
+                    const crypto = c.getCrypto?.();
+                    crypto
+                        ?.checkKeyBackupAndEnable()
+                        .then(async (check) => {
+                            if (!check || !(await crypto.getActiveSessionBackupVersion())) setSecurityOpen(true);
+                        })
+                        .catch((e) => console.warn("Key backup check failed:", e));
+                }
+            }
+        };
+
+        const onRoomTimeline = (ev, room) => {
+            if (!room || room.roomId !== activeRoomIdRef.current) return;
+
+            // берём весь live timeline: туда же попадают и события из пагинации назад
+            setEvents(liveEvents(room));
+
+            // updateRooms НЕ дергаем на каждое сообщение (см. C)
+        };
+        // limited sync -> SDK заводит новый live timeline, старая история в нём пропадает
+        const onTimelineReset = (room, timelineSet) => {
+            if (!room || room.roomId !== activeRoomIdRef.current) return;
+            // reset таймлайна треда (тоже приходит через room) основной timeline не трогает
+            if (timelineSet && timelineSet !== room.getUnfilteredTimelineSet()) return;
+            setEvents(liveEvents(room));
+            setReachedStart(false);
+        };
+        let roomsUpdateTimer = null;
+        const scheduleRoomsUpdate = () => {
+            if (roomsUpdateTimer) return;
+            roomsUpdateTimer = setTimeout(() => {
+                roomsUpdateTimer = null;
+                updateRooms();
+            }, 500);
+        };
+        const onRoom = () => updateRooms();
+
+        // расшифровка приходит асинхронно, а событие в timeline то же самое -> перерисовываем список
+        const onEventDecrypted = (ev) => {
+            const roomId = ev?.getRoomId?.();
+            if (!roomId) return;
+            if (roomId === activeRoomIdRef.current) setEvents(liveEvents(c.getRoom(roomId)));
+            scheduleRoomsUpdate();
+        };
+
+        const onTyping = (room) => {
+            if (!room || room.roomId !== activeRoomIdRef.current) return;
+            updateTypingForActive();
+        };
+
+        c.on("sync", onSync);
+        c.on("Room.timeline", onRoomTimeline);
+        c.on("Room.timelineReset", onTimelineReset);
+        c.on("Room", onRoom);
+        // invite -> join / leave: комната переезжает между Invites и списком чатов
+        c.on(sdk.RoomEvent.MyMembership, onRoom);
+        c.on("RoomMember.typing", onTyping);
+        c.on("Event.decrypted", onEventDecrypted);
+
+        // redaction меняет событие на месте (в т.ч. local echo и его отмена)
+        const onRedaction = (ev, room) => {
+            if (!room || room.roomId !== activeRoomIdRef.current) return;
+            setEvents(liveEvents(room));
+            scheduleRoomsUpdate();
+        };
+        c.on("Room.redaction", onRedaction);
+        c.on("Room.redactionCancelled", onRedaction);
+
+        // счётчики непрочитанного приходят в sync; свои receipts обнуляют их локально
+        // receipts активной комнаты -> галочки и аватарки "прочитано"
+        const onReceipt = (ev, room) => {
+            if (room?.roomId === activeRoomIdRef.current) setEvents(liveEvents(room));
+            scheduleRoomsUpdate();
+        };
+        // m.push_rules (mute и т.п. с другого устройства), m.direct -> список комнат
+        const onAccountData = (ev) => {
+            if (ev.getType() === "m.push_rules" || ev.getType() === "m.direct") scheduleRoomsUpdate();
+        };
+        c.on(sdk.ClientEvent.AccountData, onAccountData);
+        // presence собеседников в DM (точка и "last seen" в списке и в шапке)
+        c.on(sdk.UserEvent.Presence, scheduleRoomsUpdate);
+        c.on(sdk.RoomEvent.UnreadNotifications, scheduleRoomsUpdate);
+        c.on(sdk.RoomEvent.Receipt, onReceipt);
+
+        // local echo: QUEUED -> SENDING -> SENT -> remote echo (status null), либо NOT_SENT / CANCELLED
+        const onLocalEcho = (ev, room) => {
+            const status = ev.status;
+            if (!status || status === sdk.EventStatus.SENT || status === sdk.EventStatus.CANCELLED) {
+                if (ev.getTxnId()) outboxDelete(ev.getTxnId());
+            }
+            if (room?.roomId === activeRoomIdRef.current) setEvents(liveEvents(room));
+        };
+        c.on("Room.localEchoUpdated", onLocalEcho);
+
+        const onOnline = () => {
+            setOffline(false);
+            c.retryImmediately();
+            resendFailed();
+        };
+        const onOffline = () => setOffline(true);
+        window.addEventListener("online", onOnline);
+        window.addEventListener("offline", onOffline);
+
+        const onVerificationRequest = (request) => setVerificationRequest(request);
+        const onTrustChanged = () => setTrustVersion((v) => v + 1);
+        // токен отклонён и refresh не помог. soft_logout: данные не трогаем, просим войти заново.
+        // Для OIDC переавторизация всё равно создаст новый device, так что это как обычный выход
+        const onLoggedOut = (err) => {
+            c.stopClient();
+            setSessionEnded({
+                soft: !!err?.data?.soft_logout && !session.oidc,
+                error: err?.data?.error || err?.message || "",
+            });
+        };
+        c.on(sdk.HttpApiEvent.SessionLoggedOut, onLoggedOut);
+
+        c.on(CryptoEvent.VerificationRequestReceived, onVerificationRequest);
+        c.on(CryptoEvent.UserTrustStatusChanged, onTrustChanged);
+        c.on(CryptoEvent.DevicesUpdated, onTrustChanged);
+        c.on(CryptoEvent.KeysChanged, onTrustChanged);
+
+        // store пишет на диск раз в несколько минут; при уходе со страницы (мобильный PWA) — сразу
+        const onPageHide = () => {
+            if (document.visibilityState === "hidden") c.store.save(true).catch(() => {});
+        };
+        document.addEventListener("visibilitychange", onPageHide);
+
+        let stopped = false;
+
+        // ВАЖНО: открываем store, включаем E2E (best-effort) и только потом стартуем клиент
+        (async () => {
+            try {
+                await store.startup();
+            } catch (e) {
+                console.warn("Sync store init failed:", e);
+            }
+
+            try {
+                if (typeof c.initRustCrypto === "function") {
+                    await c.initRustCrypto({
+                        useIndexedDB: true,
+                        cryptoDatabasePrefix: userDbPrefix(session.userId),
+                        // сессии до app lock создали store без ключа — он так и остаётся
+                        storageKey: session.pickleKey ? fromBase64(session.pickleKey) : undefined,
+                    });
+                }
+            } catch (e) {
+                console.warn("E2E init failed:", e);
+            }
+
+            try {
+                // сессии старых версий ключа не имеют: создаём один раз и сохраняем вместе с сессией
+                let outboxKey = session.outboxKey || loadSessions().find((a) => a.userId === session.userId)?.outboxKey;
+                if (!outboxKey) {
+                    outboxKey = newOutboxKey();
+                    updateSession(session.userId, { outboxKey });
+                }
+                await setOutboxKey(session.userId, outboxKey);
+            } catch (e) {
+                console.warn("Outbox key init failed:", e);
+            }
+
+            // logout/смена сессии/lock пока шла инициализация
+            if (stopped) {
+                outboxKeys.delete(session.userId);
+                return;
+            }
+
+            c.startClient({
+                initialSyncLimit: 10,
+                lazyLoadMembers: true,
+                threadSupport: true,
+                pendingEventOrdering: sdk.PendingEventOrdering.Detached,
+            });
+            // статус из профиля (away): без set_presence каждый /sync снова делает нас online
+            if (session.presence) c.setSyncPresence(session.presence);
+
+        })();
+
+        return () => {
+            c.removeListener("sync", onSync);
+            c.removeListener("Room.timeline", onRoomTimeline);
+            c.removeListener("Room.timelineReset", onTimelineReset);
+            c.removeListener("Room", onRoom);
+            c.removeListener(sdk.RoomEvent.MyMembership, onRoom);
+            c.removeListener("RoomMember.typing", onTyping);
+            c.removeListener("Event.decrypted", onEventDecrypted);
+            c.removeListener("Room.redaction", onRedaction);
+            c.removeListener("Room.redactionCancelled", onRedaction);
+            c.removeListener(sdk.RoomEvent.UnreadNotifications, scheduleRoomsUpdate);
+            c.removeListener(sdk.RoomEvent.Receipt, onReceipt);
+            c.removeListener(sdk.ClientEvent.AccountData, onAccountData);
+            c.removeListener(sdk.UserEvent.Presence, scheduleRoomsUpdate);
+            c.removeListener("Room.localEchoUpdated", onLocalEcho);
+            window.removeEventListener("online", onOnline);
+            window.removeEventListener("offline", onOffline);
+            document.removeEventListener("visibilitychange", onPageHide);
+            stopped = true;
+            // lock / выход / смена аккаунта: без ключа outbox на диске снова нечитаем
+            outboxKeys.delete(session.userId);
+            c.removeListener(sdk.HttpApiEvent.SessionLoggedOut, onLoggedOut);
+            c.removeListener(CryptoEvent.VerificationRequestReceived, onVerificationRequest);
+            c.removeListener(CryptoEvent.UserTrustStatusChanged, onTrustChanged);
+            c.removeListener(CryptoEvent.DevicesUpdated, onTrustChanged);
+            c.removeListener(CryptoEvent.KeysChanged, onTrustChanged);
+            if (roomsUpdateTimer) clearTimeout(roomsUpdateTimer);
+            try {
+                c.stopClient();
+            } catch {}
+        };
+    }, [session, myUserId]);
+
+    // When room changes -> refresh events + typing list
+    useEffect(() => {
+        setReachedStart(false);
+        setReplyTo(null);
+        setThreadRootId(null);
+        setEditing(null);
+        if (!activeRoom || !client) {
+            setEvents([]);
+            setTypingUsers([]);
+            return;
+        }
+        setEvents(liveEvents(activeRoom));
+
+        try {
+            const typing = activeRoom.getTypingMembers?.() || [];
+            const names = typing
+                .map((m) => m?.name || m?.rawDisplayName || m?.displayName || m?.userId)
+                .filter(Boolean)
+                .filter((n) => n !== myUserId)
+                .slice(0, 3);
+            setTypingUsers(names);
+        } catch {
+            setTypingUsers([]);
+        }
+
+        // сводка треда ("3 replies") под root-сообщением
+        const onThreadChange = () => setEvents(liveEvents(activeRoom));
+        activeRoom.on(sdk.ThreadEvent.New, onThreadChange);
+        activeRoom.on(sdk.ThreadEvent.Update, onThreadChange);
+        return () => {
+            activeRoom.off(sdk.ThreadEvent.New, onThreadChange);
+            activeRoom.off(sdk.ThreadEvent.Update, onThreadChange);
+        };
+    }, [activeRoomId, activeRoom, client, myUserId]);
+
+    // Load older history for the active room (scroll-up)
+    async function loadOlder() {
+        if (!client || !activeRoom || paginatingRef.current || reachedStart) return;
+        const timeline = activeRoom.getLiveTimeline();
+        if (!timeline.getPaginationToken(sdk.EventTimeline.BACKWARDS)) {
+            setReachedStart(true);
+            return;
+        }
+
+        paginatingRef.current = true;
+        setLoadingOlder(true);
+        try {
+            const more = await client.paginateEventTimeline(timeline, { backwards: true, limit: 30 });
+            if (activeRoomIdRef.current !== activeRoom.roomId) return;
+            setEvents(liveEvents(activeRoom));
+            if (!more) setReachedStart(true);
+        } catch (e) {
+            console.warn("Back-pagination failed:", e);
+        } finally {
+            paginatingRef.current = false;
+            setLoadingOlder(false);
+        }
+    }
+
+    // login / register / SSO: новая session (в т.ч. ещё один аккаунт) + проверка key backup после первого sync
+    function startSession(s) {
+        freshLoginRef.current = true;
+        // ключ crypto store: новый для нового device, прежний — при повторном входе в тот же device (soft logout через SSO)
+        const prev = loadSessions().find((a) => a.userId === s.userId);
+        const sameDevice = prev && prev.deviceId === s.deviceId;
+        // outbox того же device тоже остаётся читаемым
+        s = { ...s, pickleKey: sameDevice ? prev.pickleKey : newPickleKey(), outboxKey: (sameDevice && prev.outboxKey) || newOutboxKey() };
+        saveSession(s);
+        setAccounts(loadSessions());
+        setAddingAccount(false);
+        setSessionEnded(null);
+        if (s.userId !== session?.userId) resetAccountState();
+        setSession(s);
+    }
+
+    function switchAccount(userId) {
+        const next = loadSessions().find((a) => a.userId === userId);
+        if (!next || userId === myUserId) return;
+        saveSession(next);
+        resetAccountState();
+        setSession(next);
+    }
+
+    // soft logout: новые токены для того же device
+    function reauthenticate(tokens) {
+        // из хранилища, а не из state: там могут быть поля, добавленные после старта (outboxKey)
+        const s = { ...(loadSessions().find((a) => a.userId === session.userId) || session), ...tokens };
+        saveSession(s);
+        setAccounts(loadSessions());
+        setSessionEnded(null);
+        setSession(s);
+    }
+
+    function lockNow() {
+        lockApp();
+        resetAccountState();
+        setBackgroundUnread({});
+        setAccounts([]);
+        setAddingAccount(false);
+        setSession(null);
+        setLocked(true);
+    }
+
+    function unlocked() {
+        setLocked(false);
+        setAccounts(loadSessions());
+        setSession(loadSession());
+    }
+
+    // уведомление: SW шлёт open-room в уже открытую вкладку, новая вкладка приходит с #/room/...
+    const [deepLink, setDeepLink] = useState(() => parseRoomDeepLink(window.location.hash));
+    useEffect(() => {
+        const onMessage = (e) => {
+            if (e.data?.type === "open-room" && e.data.roomId) setDeepLink({ roomId: e.data.roomId, userId: e.data.userId || null });
+        };
+        const onHashChange = () => {
+            const link = parseRoomDeepLink(window.location.hash);
+            if (link) setDeepLink(link);
+        };
+        navigator.serviceWorker?.addEventListener("message", onMessage);
+        window.addEventListener("hashchange", onHashChange);
+        return () => {
+            navigator.serviceWorker?.removeEventListener("message", onMessage);
+            window.removeEventListener("hashchange", onHashChange);
+        };
+    }, []);
+
+    // применяем, когда есть сессия (после unlock тоже); чужой аккаунт — сначала переключаемся
+    const openDeepLink = useEffectEvent((link) => {
+        if (link.userId && link.userId !== myUserId) switchAccount(link.userId);
+        setActiveRoomId(link.roomId);
+        setDeepLink(null);
+        if (window.location.hash) history.replaceState(null, "", window.location.pathname + window.location.search);
+    });
+    useEffect(() => {
+        if (deepLink && !locked && session) openDeepLink(deepLink);
+    }, [deepLink, locked, session]);
+
+    // idle timeout: любое действие пользователя сдвигает таймер; в фоне setInterval троттлится,
+    // поэтому проверяем ещё и при возвращении на вкладку
+    const onIdle = useEffectEvent(() => lockNow());
+    useEffect(() => {
+        if (locked || !lockEnabled || !lockIdleMinutes) return;
+        let last = Date.now();
+        const onActivity = () => {
+            last = Date.now();
+        };
+        const check = () => {
+            if (Date.now() - last >= lockIdleMinutes * 60000) onIdle();
+        };
+        const onVisibility = () => {
+            if (document.visibilityState === "visible") check();
+        };
+        const activityEvents = ["pointerdown", "keydown", "wheel", "touchstart"];
+        activityEvents.forEach((t) => window.addEventListener(t, onActivity, { passive: true }));
+        document.addEventListener("visibilitychange", onVisibility);
+        const timer = setInterval(check, 15000);
+        return () => {
+            activityEvents.forEach((t) => window.removeEventListener(t, onActivity));
+            document.removeEventListener("visibilitychange", onVisibility);
+            clearInterval(timer);
+        };
+    }, [locked, lockEnabled, lockIdleMinutes]);
+
+    // всё, что относится к клиенту активного аккаунта
+    function resetAccountState() {
+        secretStorageKeys.clear();
+        setSessionEnded(null);
+        setClient(null);
+        setRooms([]);
+        setActiveRoomId(null);
+        setEvents([]);
+        setReachedStart(false);
+        setMessage("");
+        setTypingUsers([]);
+        setVerificationRequest(null);
+        setSecurityOpen(false);
+        setReplyTo(null);
+        setThreadRootId(null);
+        setEditing(null);
+        setDeleting(null);
+        setHistoryEvent(null);
+        setReactingTo(null);
+        setRoomInfoOpen(false);
+        setProfileOpen(false);
+        setRoomDialog(null);
+        setQuery("");
+    }
+
+    // baseUrl уже после .well-known (см. Login)
+    async function login({ baseUrl, username, password }) {
+        if (!baseUrl) throw new Error("Homeserver is empty");
+
+        const temp = sdk.createClient({ baseUrl });
+        const res = await temp.login("m.login.password", {
+            user: username,
+            password,
+            // сервер без поддержки refresh tokens просто не вернёт refresh_token
+            refresh_token: true,
+        });
+
+        const s = {
+            baseUrl,
+            accessToken: res.access_token,
+            refreshToken: res.refresh_token,
+            userId: res.user_id,
+            deviceId: res.device_id,
+        };
+        startSession(s);
+    }
+
+    async function logout() {
+        try {
+            if (client) await client.logout(true);
+        } catch {}
+        forgetActiveAccount();
+    }
+
+    // локальная часть выхода (и после "signed out elsewhere"): device на сервере уже не существует
+    function forgetActiveAccount() {
+        // sync cache и crypto store этого аккаунта — вместе с сессией.
+        // Без await: deleteDatabase всё равно выполнится раньше следующего open той же базы
+        if (client) {
+            client.stopClient();
+            client
+                .clearStores({ cryptoDatabasePrefix: userDbPrefix(myUserId) })
+                .catch((e) => console.warn("Store cleanup failed:", e));
+        }
+        // txnId привязаны к этому device — после выхода переотправлять нечего
+        if (myUserId) outboxClear(myUserId);
+        // выходим только из активного аккаунта; остальные остаются, следующий становится активным
+        clearSession(myUserId);
+        const next = loadSession();
+        if (next) saveSession(next);
+        setAccounts(loadSessions());
+        resetAccountState();
+        setSession(next);
+    }
+
+    // m.annotation: есть наша реакция с этим key -> redact, иначе отправить
+    async function toggleReaction(ev, key) {
+        const room = client?.getRoom?.(ev?.getRoomId?.());
+        if (!room || !ev.getId?.()) return;
+        const relations = room.relations.getChildEventsForEvent(ev.getId(), "m.annotation", "m.reaction");
+        const mine = Array.from(relations?.getAnnotationsBySender?.()?.[myUserId] || []).find(
+            (r) => r.getRelation?.()?.key === key && !r.isRedacted()
+        );
+
+        try {
+            if (mine) {
+                // local echo ещё без event id — ждём, пока отправится
+                if (mine.getId()) await client.redactEvent(room.roomId, ev.threadRootId ?? null, mine.getId());
+                return;
+            }
+            rememberEmoji(key);
+            await client.sendEvent(room.roomId, ev.threadRootId ?? null, "m.reaction", {
+                "m.relates_to": { rel_type: "m.annotation", event_id: ev.getId(), key },
+            });
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    function startEdit(ev) {
+        setReplyTo(null);
+        setEditing(ev);
+        setMessage(editableText(ev));
+    }
+
+    function cancelEdit() {
+        setEditing(null);
+        setMessage("");
+    }
+
+    function startReply(ev) {
+        if (editing) cancelEdit();
+        setReplyTo(ev);
+    }
+
+    // Verification: contact (in the DM room) or our own other session
+    async function startVerification(userId, roomId) {
+        const crypto = client?.getCrypto?.();
+        if (!crypto) {
+            alert("Encryption is not available in this session");
+            return;
+        }
+        try {
+            const request =
+                userId === myUserId
+                    ? await crypto.requestOwnUserVerification()
+                    : await crypto.requestVerificationDM(userId, roomId);
+            setSecurityOpen(false);
+            setVerificationRequest(request);
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    async function send() {
+        if (!client || !activeRoomId) return;
+        const text = message.trim();
+        if (!text) return;
+
+        // stop typing (без await: offline не должен задерживать local echo)
+        client.sendTyping(activeRoomId, false).catch(() => {});
+
+        const content = editing
+            ? buildEditContent(editing, text)
+            : buildTextContent(text, replyTo?.getId?.() ? { "m.in_reply_to": { event_id: replyTo.getId() } } : null);
+        setReplyTo(null);
+        setEditing(null);
+        setMessage("");
+
+        // ошибка отправки видна на самом сообщении (Retry / Delete)
+        sendQueued(client, activeRoomId, null, content).catch((e) => console.warn("Send failed:", e));
+    }
+
+    function retrySend(ev) {
+        const room = client?.getRoom?.(ev.getRoomId());
+        if (room) client.resendEvent(ev, room).catch((e) => console.warn("Resend failed:", e));
+    }
+
+    function discardSend(ev) {
+        try {
+            client.cancelPendingEvent(ev);
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    // Attachments: по одному, с прогрессом; в E2E-комнате файл шифруется (EncryptedFile)
+    async function sendFiles(files) {
+        if (!client || !activeRoom || upload) return;
+        const roomId = activeRoom.roomId;
+        const encrypted = !!activeRoom.hasEncryptionStateEvent?.();
+
+        for (const file of Array.from(files || [])) {
+            setUpload({ name: file.name, loaded: 0, total: file.size });
+            try {
+                const content = await buildMediaContent(client, file, {
+                    encrypted,
+                    onProgress: ({ loaded, total }) => setUpload({ name: file.name, loaded, total }),
+                });
+                sendQueued(client, roomId, null, content).catch((e) => console.warn("Send failed:", e));
+            } catch (e) {
+                alert(`${file.name}: ${String(e?.message || e)}`);
+            }
+        }
+        setUpload(null);
+    }
+
+    // после createRoom / joinRoom: комната появится в списке со следующим sync
+    function openJoinedRoom(roomId) {
+        setRoomDialog(null);
+        setActiveRoomId(roomId);
+    }
+
+    // leave/forget из RoomInfoDrawer
+    function roomLeft() {
+        setRoomInfoOpen(false);
+        setActiveRoomId(null);
+    }
+
+    async function acceptInvite(roomId) {
+        // is_direct в нашем invite -> это DM, записываем в m.direct (как делает приглашающий)
+        const invite = client.getRoom(roomId)?.getMember(myUserId)?.events?.member;
+        const directFrom = invite?.getContent()?.is_direct ? invite.getSender() : null;
+        try {
+            await client.joinRoom(roomId);
+            if (directFrom) addDirectRoom(client, directFrom, roomId).catch((e) => console.warn("m.direct update failed:", e));
+            setActiveRoomId(roomId);
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    // ignore: сервер скрывает все события и приглашения от этого пользователя
+    async function declineInvite(roomId, ignoreUserId) {
+        if (ignoreUserId && !confirm(`Decline and ignore ${ignoreUserId}? You won't see their messages or invites.`)) return;
+        try {
+            await client.leave(roomId);
+            if (ignoreUserId) {
+                const ignored = client.getIgnoredUsers();
+                if (!ignored.includes(ignoreUserId)) await client.setIgnoredUsers(ignored.concat(ignoreUserId));
+            }
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    // DM with E2E (m.room.encryption) — ONLY for DM
+    async function startDM() {
+        if (!client || !myUserId) return;
+        const mxid = normalizeMxId(newChatInput, myUserId);
+        if (!mxid) return;
+
+        // DM уже есть -> открываем его; старый DM без m.direct заодно туда записываем
+        const existing = findExistingDm(client, myUserId, mxid);
+        if (existing) {
+            if (!directRooms.has(existing.roomId)) {
+                addDirectRoom(client, mxid, existing.roomId).catch((e) => console.warn("m.direct update failed:", e));
+            }
+            setNewChatOpen(false);
+            setNewChatInput("");
+            setActiveRoomId(existing.roomId);
+            return;
+        }
+
+        setNewChatBusy(true);
+        try {
+            // без name: клиенты показывают DM по собеседнику
+            const roomRes = await client.createRoom({
+                invite: [mxid],
+                is_direct: true,
+                preset: "trusted_private_chat",
+
+                // E2E for DM
+                initial_state: [
+                    {
+                        type: "m.room.encryption",
+                        state_key: "",
+                        content: { algorithm: "m.megolm.v1.aes-sha2" },
+                    },
+                ],
+            });
+
+            const roomId = roomRes?.room_id || roomRes?.roomId;
+            if (roomId) await addDirectRoom(client, mxid, roomId);
+            setNewChatOpen(false);
+            setNewChatInput("");
+            if (roomId) setActiveRoomId(roomId);
+        } catch (e) {
+            alert(String(e?.message || e));
+        } finally {
+            setNewChatBusy(false);
+        }
+    }
+
+    // приглашения — отдельной секцией над списком; left/banned не показываем вовсе
+    const invites = useMemo(() => rooms.filter((r) => r.getMyMembership() === "invite"), [rooms]);
+    const filteredRooms = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        const joined = rooms.filter((r) => r.getMyMembership() === "join");
+        if (!q) return joined;
+        return joined.filter((r) => {
+            const name = roomDisplayName(r).toLowerCase();
+            const last = (r.getLastLiveEvent?.()?.getContent?.()?.body || "").toLowerCase();
+            return name.includes(q) || last.includes(q);
+        });
+    }, [rooms, query, roomDisplayName]);
+
+    // typing debounce/throttle
+    const typingTimerRef = useRef(null);
+    const typingActiveRef = useRef(false);
+
+    async function sendTyping(isTyping) {
+        if (!client || !activeRoomId) return;
+        try {
+            if (isTyping) {
+                if (!typingActiveRef.current) {
+                    typingActiveRef.current = true;
+                    await client.sendTyping(activeRoomId, true, 4000);
+                } else {
+                    await client.sendTyping(activeRoomId, true, 4000);
+                }
+            } else {
+                typingActiveRef.current = false;
+                await client.sendTyping(activeRoomId, false);
+            }
+        } catch {}
+    }
+
+    function onComposerChange(next) {
+        setMessage(next);
+
+        if (!next.trim()) {
+            if (typingTimerRef.current) clearTimeout(typingTimerRef.current);
+            typingTimerRef.current = setTimeout(() => {
+                sendTyping(false);
+            }, 200);
+            return;
+        }
+
+        sendTyping(true);
+
+        if (typingTimerRef.current) clearTimeout(typingTimerRef.current);
+        typingTimerRef.current = setTimeout(() => {
+            sendTyping(false);
+        }, 2200);
+    }
+
+    // -------------- render --------------
+    if (locked) {
+        return <LockScreen onUnlock={unlocked} />;
+    }
+    if (authCallback) {
+        return <div style={{ maxWidth: 440, margin: "40px auto", padding: 12, fontFamily: "system-ui" }}>Signing in…</div>;
+    }
+    if (!session || addingAccount) {
+        return (
+            <Login
+                onLogin={login}
+                onRegister={startSession}
+                onCancel={session ? () => setAddingAccount(false) : null}
+                initialError={authError}
+            />
+        );
+    }
+
+    if (sessionEnded) {
+        return (
+            <SessionEndedScreen
+                session={session}
+                soft={sessionEnded.soft}
+                error={sessionEnded.error}
+                onReauth={reauthenticate}
+                onForget={forgetActiveAccount}
+            />
+        );
+    }
+
+    const accountUnread = {
+        ...backgroundUnread,
+        [myUserId]: activeUnread,
+    };
+    const accountSwitcher = (
+        <AccountSwitcher
+            accounts={accounts}
+            activeUserId={myUserId}
+            unread={accountUnread}
+            onSwitch={switchAccount}
+            onAdd={() => setAddingAccount(true)}
+        />
+    );
+
+    const shellStyle = {
+        height: "100vh",
+        fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, Arial",
+        background: "#fff",
+        color: "#111",
+    };
+
+    // действия над сообщением (context menu)
+    const messageActions = {
+        reply: startReply,
+        thread: setThreadRootId,
+        edit: startEdit,
+        delete: setDeleting,
+        history: setHistoryEvent,
+        react: setReactingTo,
+        toggleReaction,
+        retry: retrySend,
+        discard: discardSend,
+    };
+
+    // "New": кроме DM — группа, вход по адресу, каталог комнат
+    const newChatLinks = (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+            {[
+                ["group", "New group"],
+                ["join", "Join room"],
+                ["directory", "Browse rooms"],
+            ].map(([kind, label]) => (
+                <Btn
+                    key={kind}
+                    subtle
+                    disabled={newChatBusy}
+                    onClick={() => {
+                        setNewChatOpen(false);
+                        setRoomDialog(kind);
+                    }}
+                >
+                    {label}
+                </Btn>
+            ))}
+        </div>
+    );
+
+    // общие для mobile/desktop модалки
+    const overlays = (
+        <>
+            {profileOpen ? <ProfileDialog client={client} myUserId={myUserId} onClose={() => setProfileOpen(false)} /> : null}
+
+            {securityOpen ? (
+                <Modal title="Security & encryption" onClose={() => setSecurityOpen(false)}>
+                    <SecurityPanel
+                        client={client}
+                        myUserId={myUserId}
+                        trustVersion={trustVersion}
+                        onVerifySession={() => startVerification(myUserId)}
+                    />
+                    <div style={{ borderTop: "1px solid #eee", margin: "10px 0" }} />
+                    <NotificationsSection client={client} />
+                    <div style={{ borderTop: "1px solid #eee", margin: "10px 0" }} />
+                    <PrivacySection
+                        privateReceipts={privateReceipts}
+                        onPrivateReceipts={(on) => {
+                            savePrivateReceipts(on);
+                            setPrivateReceipts(on);
+                        }}
+                    />
+                    <div style={{ borderTop: "1px solid #eee", margin: "10px 0" }} />
+                    <AppLockSection
+                        accounts={accounts}
+                        enabled={lockEnabled}
+                        idleMinutes={lockIdleMinutes}
+                        onChange={() => {
+                            setLockEnabled(isAppLockEnabled());
+                            setLockIdleMinutes(appLockIdleMinutes());
+                        }}
+                    />
+                </Modal>
+            ) : null}
+
+            {roomDialog === "group" ? (
+                <CreateGroupDialog client={client} myUserId={myUserId} onDone={openJoinedRoom} onClose={() => setRoomDialog(null)} />
+            ) : roomDialog === "join" ? (
+                <JoinRoomDialog client={client} onDone={openJoinedRoom} onClose={() => setRoomDialog(null)} />
+            ) : roomDialog === "directory" ? (
+                <RoomDirectoryDialog client={client} myUserId={myUserId} onDone={openJoinedRoom} onClose={() => setRoomDialog(null)} />
+            ) : null}
+
+            {roomInfoOpen && activeRoom ? (
+                <RoomInfoDrawer
+                    client={client}
+                    room={activeRoom}
+                    roomName={roomDisplayName(activeRoom)}
+                    myUserId={myUserId}
+                    onChange={() => setRooms((rs) => rs.slice())}
+                    onLeft={roomLeft}
+                    onClose={() => setRoomInfoOpen(false)}
+                />
+            ) : null}
+
+            {deleting ? (
+                <DeleteMessageDialog client={client} event={deleting} onClose={() => setDeleting(null)} />
+            ) : null}
+
+            {reactingTo ? (
+                <ReactionPicker
+                    onPick={(key) => {
+                        const ev = reactingTo;
+                        setReactingTo(null);
+                        toggleReaction(ev, key);
+                    }}
+                    onClose={() => setReactingTo(null)}
+                />
+            ) : null}
+
+            {historyEvent ? (
+                <EditHistoryDialog client={client} event={historyEvent} onClose={() => setHistoryEvent(null)} />
+            ) : null}
+
+            {verificationRequest ? (
+                <VerificationDialog
+                    request={verificationRequest}
+                    displayName={(userId) => senderDisplayName(activeRoom, userId)}
+                    onClose={() => setVerificationRequest(null)}
+                />
+            ) : null}
+        </>
+    );
+
+    // Mobile
+    if (isMobile) {
+        return (
+            <div style={shellStyle}>
+                <TopBar
+                    title={accountSwitcher}
+                    right={
+                        <>
+                            <Btn onClick={() => setNewChatOpen(true)}>New</Btn>
+                            <Btn onClick={() => setProfileOpen(true)} subtle>
+                                Profile
+                            </Btn>
+                            <Btn onClick={() => setSecurityOpen(true)} subtle>
+                                Security
+                            </Btn>
+                            {lockEnabled ? (
+                                <Btn onClick={lockNow} subtle>
+                                    Lock
+                                </Btn>
+                            ) : null}
+                            <Btn onClick={logout} subtle>
+                                Logout
+                            </Btn>
+                        </>
+                    }
+                />
+
+                {activeRoom && threadRootId ? (
+                    <ThreadPanel
+                        client={client}
+                        room={activeRoom}
+                        roomName={roomDisplayName(activeRoom)}
+                        rootId={threadRootId}
+                        myUserId={myUserId}
+                        senderDisplayName={senderDisplayName}
+                        trustVersion={trustVersion}
+                        actions={{
+                            delete: setDeleting,
+                            history: setHistoryEvent,
+                            react: setReactingTo,
+                            toggleReaction,
+                            retry: retrySend,
+                            discard: discardSend,
+                        }}
+                        onClose={() => setThreadRootId(null)}
+                    />
+                ) : !activeRoomId ? (
+                    <div style={{ padding: 12 }}>
+                        <SearchBox value={query} onChange={setQuery} />
+                        <div style={{ height: 10 }} />
+                        <InvitesList
+                            invites={invites}
+                            myUserId={myUserId}
+                            roomAvatarUrl={roomAvatarUrl}
+                            senderDisplayName={senderDisplayName}
+                            onAccept={acceptInvite}
+                            onDecline={declineInvite}
+                        />
+                        <RoomList
+                            rooms={filteredRooms}
+                            activeRoomId={null}
+                            onOpen={(id) => setActiveRoomId(id)}
+                            roomAvatarUrl={roomAvatarUrl}
+                            roomDisplayName={roomDisplayName}
+                            partnerUser={dmPartnerUser}
                             senderDisplayName={senderDisplayName}
                             emptyHint="Пока нет чатов. Нажми New."
                             myUserId={myUserId}
+                            client={client}
+                        />
+                    </div>
+                ) : (
+                    <ChatView
+                        myUserId={myUserId}
+                        room={activeRoom}
+                        events={events}
+                        typingUsers={typingUsers}
+                        message={message}
+                        setMessage={onComposerChange}
+                        onSend={send}
+                        onSendFiles={sendFiles}
+                        upload={upload}
+                        replyTo={replyTo}
+                        onCancelReply={() => setReplyTo(null)}
+                        editing={editing}
+                        onCancelEdit={cancelEdit}
+                        actions={messageActions}
+                        onLoadOlder={loadOlder}
+                        loadingOlder={loadingOlder}
+                        reachedStart={reachedStart}
+                        onBack={() => setActiveRoomId(null)}
+                        client={client}
+                        senderDisplayName={senderDisplayName}
+                        trustVersion={trustVersion}
+                        onVerifyUser={startVerification}
+                        offline={offline}
+                        privateReceipts={privateReceipts}
+                        onOpenInfo={() => setRoomInfoOpen(true)}
+                        roomName={roomDisplayName(activeRoom)}
+                        partnerUser={dmPartnerUser(activeRoom)}
+                    />
+                )}
+
+                {newChatOpen ? (
+                    <Modal
+                        title="New chat (E2E DM)"
+                        onClose={() => {
+                            if (!newChatBusy) setNewChatOpen(false);
+                        }}
+                    >
+                        {newChatLinks}
+                        <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
+                            Введи Matrix ID (например <code>@user:matrix.org</code>) или просто ник (подставится твой сервер).
+                            <br />
+                            Этот DM будет создан <b>с E2E</b>.
+                        </div>
+
+                        <input
+                            value={newChatInput}
+                            onChange={(e) => setNewChatInput(e.target.value)}
+                            placeholder="@user:matrix.org"
+                            autoCapitalize="none"
+                            autoCorrect="off"
+                            style={inputStyle}
+                        />
+
+                        <div style={{ height: 12 }} />
+                        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                            <Btn
+                                subtle
+                                onClick={() => {
+                                    if (!newChatBusy) setNewChatOpen(false);
+                                }}
+                            >
+                                Cancel
+                            </Btn>
+                            <Btn onClick={startDM} disabled={newChatBusy || !newChatInput.trim()}>
+                                {newChatBusy ? "Creating..." : "Create"}
+                            </Btn>
+                        </div>
+                    </Modal>
+                ) : null}
+
+                {overlays}
+            </div>
+        );
+    }
+
+    // Desktop
+    return (
+        <div style={{ ...shellStyle, display: "flex" }}>
+            <aside style={sidebarStyle}>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+                    {accountSwitcher}
+                    <div style={{ display: "flex", gap: 8 }}>
+                        <Btn onClick={() => setNewChatOpen(true)}>New</Btn>
+                        <Btn onClick={() => setProfileOpen(true)} subtle>
+                            Profile
+                        </Btn>
+                        <Btn onClick={() => setSecurityOpen(true)} subtle>
+                            Security
+                        </Btn>
+                        {lockEnabled ? (
+                            <Btn onClick={lockNow} subtle>
+                                Lock
+                            </Btn>
+                        ) : null}
+                        <Btn onClick={logout} subtle>
+                            Logout
+                        </Btn>
+                    </div>
+                </div>
+
+                <div style={{ height: 12 }} />
+                <SearchBox value={query} onChange={setQuery} />
+
+                <div style={{ height: 12 }} />
+                <div style={{ overflow: "auto", height: "calc(100vh - 120px)" }}>
+                    <InvitesList
+                        invites={invites}
+                        myUserId={myUserId}
+                        roomAvatarUrl={roomAvatarUrl}
+                        senderDisplayName={senderDisplayName}
+                        onAccept={acceptInvite}
+                        onDecline={declineInvite}
+                    />
+                    <RoomList
+                        rooms={filteredRooms}
+                        activeRoomId={activeRoomId}
+                        onOpen={(id) => setActiveRoomId(id)}
+                        roomAvatarUrl={roomAvatarUrl}
+                        roomDisplayName={roomDisplayName}
+                        partnerUser={dmPartnerUser}
+                        senderDisplayName={senderDisplayName}
+                        emptyHint="Пока нет чатов. Нажми New."
+                        myUserId={myUserId}
+                        client={client}
+                    />
+                </div>
+            </aside>
+
+            <main style={{ flex: 1, minWidth: 0 }}>
+                {activeRoom ? (
+                    <ChatView
+                        myUserId={myUserId}
+                        room={activeRoom}
+                        events={events}
+                        typingUsers={typingUsers}
+                        message={message}
+                        setMessage={onComposerChange}
+                        onSend={send}
+                        onSendFiles={sendFiles}
+                        upload={upload}
+                        replyTo={replyTo}
+                        onCancelReply={() => setReplyTo(null)}
+                        editing={editing}
+                        onCancelEdit={cancelEdit}
+                        actions={messageActions}
+                        onLoadOlder={loadOlder}
+                        loadingOlder={loadingOlder}
+                        reachedStart={reachedStart}
+                        client={client}
+                        senderDisplayName={senderDisplayName}
+                        trustVersion={trustVersion}
+                        onVerifyUser={startVerification}
+                        offline={offline}
+                        privateReceipts={privateReceipts}
+                        onOpenInfo={() => setRoomInfoOpen(true)}
+                        roomName={roomDisplayName(activeRoom)}
+                        partnerUser={dmPartnerUser(activeRoom)}
+                    />
+                ) : (
+                    <div style={{ height: "100vh", display: "grid", placeItems: "center", color: "#666" }}>
+                        Выбери чат слева или нажми New.
+                    </div>
+                )}
+            </main>
+
+            {activeRoom && threadRootId ? (
+                <aside style={{ width: 380, borderLeft: "1px solid #eee", flex: "0 0 auto" }}>
+                    <ThreadPanel
+                        client={client}
+                        room={activeRoom}
+                        roomName={roomDisplayName(activeRoom)}
+                        rootId={threadRootId}
+                        myUserId={myUserId}
+                        senderDisplayName={senderDisplayName}
+                        trustVersion={trustVersion}
+                        actions={{
+                            delete: setDeleting,
+                            history: setHistoryEvent,
+                            react: setReactingTo,
+                            toggleReaction,
+                            retry: retrySend,
+                            discard: discardSend,
+                        }}
+                        onClose={() => setThreadRootId(null)}
+                    />
+                </aside>
+            ) : null}
+
+            {newChatOpen ? (
+                <Modal
+                    title="New chat (E2E DM)"
+                    onClose={() => {
+                        if (!newChatBusy) setNewChatOpen(false);
+                    }}
+                >
+                    {newChatLinks}
+                    <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
+                        Введи Matrix ID (например <code>@user:matrix.org</code>) или просто ник (подставится твой сервер).
+                        <br />
+                        Этот DM будет создан <b>с E2E</b>.
+                    </div>
+
+                    <input
+                        value={newChatInput}
+                        onChange={(e) => setNewChatInput(e.target.value)}
+                        placeholder="@user:matrix.org"
+                        autoCapitalize="none"
+                        autoCorrect="off"
+                        style={inputStyle}
+                    />
+
+                    <div style={{ height: 12 }} />
+                    <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                        <Btn
+                            subtle
+                            onClick={() => {
+                                if (!newChatBusy) setNewChatOpen(false);
+                            }}
+                        >
+                            Cancel
+                        </Btn>
+                        <Btn onClick={startDM} disabled={newChatBusy || !newChatInput.trim()}>
+                            {newChatBusy ? "Creating..." : "Create"}
+                        </Btn>
+                    </div>
+                </Modal>
+            ) : null}
+
+            {overlays}
+        </div>
+    );
+}
+
+// -------------------- UI components --------------------
+const sidebarStyle = {
+    width: 360,
+    borderRight: "1px solid #eee",
+    padding: 14,
+    boxSizing: "border-box",
+};
+
+const inputStyle = {
+    width: "100%",
+    padding: "12px 12px",
+    borderRadius: 12,
+    border: "1px solid #ddd",
+    outline: "none",
+    fontSize: 14,
+    boxSizing: "border-box",
+};
+
+function TopBar({ title, right }) {
+    return (
+        <header
+            style={{
+                height: 52,
+                padding: "0 12px",
+                borderBottom: "1px solid #eee",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: 10,
+            }}
+        >
+            <div style={{ fontWeight: 800 }}>{title}</div>
+            <div style={{ display: "flex", gap: 8 }}>{right}</div>
+        </header>
+    );
+}
+
+// Заголовок с активным аккаунтом; у остальных — счётчик непрочитанного
+function AccountSwitcher({ accounts, activeUserId, unread, onSwitch, onAdd }) {
+    const [open, setOpen] = useState(false);
+    const othersUnread = accounts
+        .filter((a) => a.userId !== activeUserId)
+        .reduce((n, a) => n + (unread[a.userId] || 0), 0);
+
+    const badge = (n) =>
+        n ? (
+            <span
+                style={{
+                    minWidth: 18,
+                    padding: "1px 6px",
+                    borderRadius: 10,
+                    background: "#111",
+                    color: "#fff",
+                    fontSize: 11,
+                    fontWeight: 700,
+                    textAlign: "center",
+                    boxSizing: "border-box",
+                }}
+            >
+                {n > 99 ? "99+" : n}
+            </span>
+        ) : null;
+
+    return (
+        <span style={{ position: "relative", minWidth: 0 }}>
+            <span
+                onClick={() => setOpen(true)}
+                title="Switch account"
+                style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer", minWidth: 0 }}
+            >
+                <span style={{ display: "flex", flexDirection: "column", minWidth: 0 }}>
+                    <span style={{ fontWeight: 800, letterSpacing: 0.2 }}>HappyChat</span>
+                    <span
+                        style={{
+                            fontSize: 11,
+                            fontWeight: 400,
+                            color: "#666",
+                            whiteSpace: "nowrap",
+                            overflow: "hidden",
+                            textOverflow: "ellipsis",
+                        }}
+                    >
+                        {activeUserId}
+                    </span>
+                </span>
+                {badge(othersUnread)}
+                <span style={{ color: "#888", fontSize: 12 }}>▾</span>
+            </span>
+            {open ? (
+                <>
+                    <div onMouseDown={() => setOpen(false)} style={{ position: "fixed", inset: 0, zIndex: 50 }} />
+                    <div
+                        style={{
+                            position: "absolute",
+                            left: 0,
+                            top: "100%",
+                            marginTop: 6,
+                            zIndex: 51,
+                            minWidth: 240,
+                            background: "#fff",
+                            border: "1px solid #eee",
+                            borderRadius: 12,
+                            boxShadow: "0 6px 20px rgba(0,0,0,0.15)",
+                            padding: 4,
+                        }}
+                    >
+                        {accounts.map((a) => (
+                            <div
+                                key={a.userId}
+                                onClick={() => {
+                                    setOpen(false);
+                                    onSwitch(a.userId);
+                                }}
+                                style={{
+                                    display: "flex",
+                                    alignItems: "center",
+                                    justifyContent: "space-between",
+                                    gap: 8,
+                                    padding: "8px 10px",
+                                    borderRadius: 8,
+                                    fontSize: 13,
+                                    fontWeight: a.userId === activeUserId ? 800 : 600,
+                                    cursor: "pointer",
+                                    background: a.userId === activeUserId ? "#f3f3f3" : "transparent",
+                                }}
+                            >
+                                <span style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{a.userId}</span>
+                                {a.userId === activeUserId ? null : unread[a.userId] === null ? (
+                                    <span style={{ fontSize: 11, fontWeight: 600, color: "crimson" }}>signed out</span>
+                                ) : (
+                                    badge(unread[a.userId])
+                                )}
+                            </div>
+                        ))}
+                        <div
+                            onClick={() => {
+                                setOpen(false);
+                                onAdd();
+                            }}
+                            style={{ padding: "8px 10px", borderRadius: 8, fontSize: 13, fontWeight: 600, cursor: "pointer", color: "#555" }}
+                        >
+                            + Add account
+                        </div>
+                    </div>
+                </>
+            ) : null}
+        </span>
+    );
+}
+
+function Btn({ children, onClick, subtle, disabled }) {
+    return (
+        <button
+            onClick={onClick}
+            disabled={disabled}
+            style={{
+                padding: "8px 12px",
+                borderRadius: 12,
+                border: "1px solid " + (subtle ? "#e6e6e6" : "#111"),
+                background: subtle ? "#fff" : "#111",
+                color: subtle ? "#111" : "#fff",
+                fontWeight: 700,
+                cursor: disabled ? "not-allowed" : "pointer",
+                opacity: disabled ? 0.6 : 1,
+            }}
+        >
+            {children}
+        </button>
+    );
+}
+
+function SearchBox({ value, onChange }) {
+    return (
+        <input
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="Search chats..."
+            style={{
+                width: "100%",
+                padding: "10px 12px",
+                borderRadius: 12,
+                border: "1px solid #ddd",
+                outline: "none",
+                fontSize: 14,
+                boxSizing: "border-box",
+            }}
+        />
+    );
+}
+
+function RoomList({
+    rooms,
+    activeRoomId,
+    onOpen,
+    roomAvatarUrl,
+    roomDisplayName,
+    partnerUser,
+    senderDisplayName,
+    emptyHint,
+    myUserId,
+    client,
+}) {
+    if (!rooms.length) {
+        return <div style={{ color: "#666", padding: 12 }}>{emptyHint}</div>;
+    }
+    return (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {rooms.map((r) => {
+                const avatar = roomAvatarUrl?.(r, 64);
+                const lastEv = r.getLastLiveEvent?.();
+                const lastBody = lastEv && isMessageEvent(lastEv) ? previewText(lastEv, 120) : "";
+                const lastSender = lastEv?.getSender?.() || "";
+                const lastSenderName = lastSender ? senderDisplayName(r, lastSender) : "";
+                const isActive = activeRoomId && r.roomId === activeRoomId;
+                // серверные счётчики по push rules: total — всё, что уведомляет, highlight — упоминания и т.п.
+                const unread = r.getUnreadNotificationCount?.(sdk.NotificationCountType.Total) || 0;
+                const highlight = r.getUnreadNotificationCount?.(sdk.NotificationCountType.Highlight) || 0;
+                const muted = roomNotifyMode(client, r.roomId) === "mute";
+                // DM: online — зелёная точка, иначе "last seen"
+                const partner = partnerUser?.(r);
+                const lastSeen =
+                    partner && partner.presence !== "online" && partner.getLastActiveTs() > 0
+                        ? lastSeenText(partner.getLastActiveTs())
+                        : "";
+
+                return (
+                    <div
+                        key={r.roomId}
+                        onClick={() => onOpen(r.roomId)}
+                        style={{
+                            display: "flex",
+                            gap: 10,
+                            padding: 10,
+                            borderRadius: 14,
+                            border: "1px solid " + (isActive ? "#111" : "#eee"),
+                            background: isActive ? "#111" : "#fff",
+                            cursor: "pointer",
+                        }}
+                    >
+                        <div style={{ position: "relative", flex: "0 0 auto" }}>
+                            <div
+                                style={{
+                                    width: 44,
+                                    height: 44,
+                                    borderRadius: 14,
+                                    overflow: "hidden",
+                                    background: isActive ? "#222" : "#f3f3f3",
+                                    display: "grid",
+                                    placeItems: "center",
+                                }}
+                            >
+                                {avatar ? (
+                                    <img src={avatar} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
+                                ) : (
+                                    <div style={{ fontWeight: 900, color: isActive ? "#fff" : "#111" }}>
+                                        {(roomDisplayName(r) || "C").replace(/^[@#!]/, "").slice(0, 1).toUpperCase()}
+                                    </div>
+                                )}
+                            </div>
+                            <PresenceDot
+                                user={partner}
+                                size={12}
+                                style={{ position: "absolute", right: -2, bottom: -2, border: `2px solid ${isActive ? "#111" : "#fff"}` }}
+                            />
+                        </div>
+
+                        <div style={{ minWidth: 0, flex: 1 }}>
+                            <div style={{ display: "flex", alignItems: "baseline", gap: 6 }}>
+                                <div
+                                    style={{
+                                        flex: 1,
+                                        fontWeight: unread ? 800 : 600,
+                                        color: isActive ? "#fff" : "#111",
+                                        whiteSpace: "nowrap",
+                                        overflow: "hidden",
+                                        textOverflow: "ellipsis",
+                                    }}
+                                >
+                                    {muted ? (
+                                        <span title="Muted" style={{ marginRight: 4, fontSize: 12 }}>
+                                            🔕
+                                        </span>
+                                    ) : null}
+                                    {roomDisplayName(r)}
+                                </div>
+                                {lastSeen ? (
+                                    <div style={{ fontSize: 11, color: isActive ? "#cfcfcf" : "#888", whiteSpace: "nowrap" }}>
+                                        {lastSeen}
+                                    </div>
+                                ) : null}
+                            </div>
+                            <div
+                                style={{
+                                    fontSize: 13,
+                                    fontWeight: unread ? 600 : 400,
+                                    color: isActive ? "#cfcfcf" : unread ? "#333" : "#666",
+                                    whiteSpace: "nowrap",
+                                    overflow: "hidden",
+                                    textOverflow: "ellipsis",
+                                    marginTop: 2,
+                                }}
+                            >
+                                {safeText(lastBody)
+                                    ? `${lastSender ? (lastSender === myUserId ? "You" : truncateMiddle(lastSenderName, 18)) + ": " : ""}${safeText(lastBody)}`
+                                    : ""}
+                            </div>
+                        </div>
+
+                        {unread ? (
+                            <div
+                                title={highlight ? `${highlight} mentions` : `${unread} unread`}
+                                style={{
+                                    alignSelf: "center",
+                                    minWidth: 20,
+                                    height: 20,
+                                    padding: "0 6px",
+                                    borderRadius: 10,
+                                    background: highlight ? "crimson" : isActive ? "#fff" : "#111",
+                                    color: highlight || !isActive ? "#fff" : "#111",
+                                    fontSize: 11,
+                                    fontWeight: 800,
+                                    display: "grid",
+                                    placeItems: "center",
+                                    flex: "0 0 auto",
+                                }}
+                            >
+                                {unread > 99 ? "99+" : unread}
+                            </div>
+                        ) : null}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// online / away / offline; без presence на сервере ничего не рисуем
+function PresenceDot({ user, size = 9, style }) {
+    if (!user?.presence) return null;
+    return (
+        <span
+            title={presenceLabel(user)}
+            style={{
+                display: "inline-block",
+                width: size,
+                height: size,
+                borderRadius: "50%",
+                boxSizing: "content-box",
+                background: PRESENCE_COLORS[user.presence] || PRESENCE_COLORS.offline,
+                flex: "0 0 auto",
+                ...style,
+            }}
+        />
+    );
+}
+
+// Приглашения: кто пригласил, DM или группа (is_direct в нашем m.room.member), accept / decline / ignore
+function InvitesList({ invites, myUserId, roomAvatarUrl, senderDisplayName, onAccept, onDecline }) {
+    const [busy, setBusy] = useState({});
+
+    if (!invites.length) return null;
+
+    async function run(roomId, fn) {
+        setBusy((b) => ({ ...b, [roomId]: true }));
+        try {
+            await fn();
+        } finally {
+            setBusy((b) => ({ ...b, [roomId]: false }));
+        }
+    }
+
+    const linkBtn = { background: "none", border: "none", padding: 0, cursor: "pointer", fontSize: 12, fontWeight: 700 };
+
+    return (
+        <div style={{ marginBottom: 12 }}>
+            <div style={{ fontSize: 12, fontWeight: 800, color: "#666", margin: "0 0 6px 2px" }}>Invites ({invites.length})</div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                {invites.map((r) => {
+                    const myEvent = r.getMember?.(myUserId)?.events?.member;
+                    const inviter = myEvent?.getSender?.() || r.getDMInviter?.() || "";
+                    const isDirect = !!myEvent?.getContent?.()?.is_direct;
+                    const inviterName = inviter ? senderDisplayName(r, inviter) : "Someone";
+                    const avatar = roomAvatarUrl?.(r, 64);
+                    const isBusy = !!busy[r.roomId];
+
+                    return (
+                        <div
+                            key={r.roomId}
+                            style={{ display: "flex", gap: 10, padding: 10, borderRadius: 14, border: "1px solid #dcdcdc", background: "#fafafa" }}
+                        >
+                            <div
+                                style={{
+                                    width: 44,
+                                    height: 44,
+                                    borderRadius: 14,
+                                    overflow: "hidden",
+                                    background: "#f3f3f3",
+                                    display: "grid",
+                                    placeItems: "center",
+                                    flex: "0 0 auto",
+                                }}
+                            >
+                                {avatar ? (
+                                    <img src={avatar} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
+                                ) : (
+                                    <div style={{ fontWeight: 900 }}>{(r.name || "C").slice(0, 1).toUpperCase()}</div>
+                                )}
+                            </div>
+
+                            <div style={{ minWidth: 0, flex: 1 }}>
+                                <div style={{ fontWeight: 800, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                                    {isDirect ? inviterName : r.name || r.roomId}
+                                </div>
+                                <div style={{ fontSize: 13, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", marginTop: 2 }}>
+                                    {isDirect ? `${truncateMiddle(inviter, 32)} wants to chat` : `${truncateMiddle(inviterName, 24)} invited you`}
+                                </div>
+                                <div style={{ display: "flex", gap: 12, marginTop: 8, flexWrap: "wrap" }}>
+                                    <button
+                                        disabled={isBusy}
+                                        onClick={() => run(r.roomId, () => onAccept(r.roomId))}
+                                        style={{ ...linkBtn, color: "#0a7d32" }}
+                                    >
+                                        Accept
+                                    </button>
+                                    <button
+                                        disabled={isBusy}
+                                        onClick={() => run(r.roomId, () => onDecline(r.roomId))}
+                                        style={{ ...linkBtn, color: "#555" }}
+                                    >
+                                        Decline
+                                    </button>
+                                    {inviter ? (
+                                        <button
+                                            disabled={isBusy}
+                                            onClick={() => run(r.roomId, () => onDecline(r.roomId, inviter))}
+                                            style={{ ...linkBtn, color: "#c0392b" }}
+                                        >
+                                            Decline & ignore user
+                                        </button>
+                                    ) : null}
+                                </div>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function ChatView({
+    myUserId,
+    room,
+    events,
+    typingUsers,
+    message,
+    setMessage,
+    onSend,
+    onSendFiles,
+    upload,
+    replyTo,
+    onCancelReply,
+    editing,
+    onCancelEdit,
+    actions,
+    onLoadOlder,
+    loadingOlder,
+    reachedStart,
+    onBack,
+    client,
+    senderDisplayName,
+    trustVersion,
+    onVerifyUser,
+    offline,
+    privateReceipts,
+    onOpenInfo,
+    roomName,
+    partnerUser,
+}) {
+    const scrollRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const [dragOver, setDragOver] = useState(false);
+    // последнее известное положение скролла: {roomId, firstId, lastId, top, height}
+    const scrollStateRef = useRef({});
+
+    const msgEvents = useMemo(() => {
+        return (events || []).filter(isMessageEvent);
+    }, [events]);
+
+    // m.room.create в timeline = дальше истории нет
+    const atStart = reachedStart || (events || []).some((e) => e.getType?.() === "m.room.create");
+
+    const firstId = msgEvents[0]?.getId?.() || null;
+    const lastEv = msgEvents[msgEvents.length - 1];
+    const lastId = lastEv?.getId?.() || null;
+    const lastIsMine = !!myUserId && lastEv?.getSender?.() === myUserId;
+
+    // m.fully_read: всё до этого события прочитано. Divider "New messages" стоит после него,
+    // пока не доскроллили до конца — тогда marker (локально и на сервере) переезжает на последнее событие
+    const dividerRef = useRef(null);
+    const [readMarker, setReadMarker] = useState({ roomId: null, eventId: null });
+    const markerId =
+        readMarker.roomId === room?.roomId
+            ? readMarker.eventId
+            : room?.getAccountData?.("m.fully_read")?.getContent?.()?.event_id || null;
+    const markerIndex = markerId ? msgEvents.findIndex((e) => e.getId?.() === markerId) : -1;
+    const dividerAfterId =
+        markerIndex >= 0 && msgEvents.slice(markerIndex + 1).some((e) => e.getSender?.() !== myUserId) ? markerId : null;
+    // receipts остальных участников: userId -> последнее сообщение, до которого дочитал.
+    // Receipt может указывать на реакцию/state event — берём ближайшее сообщение перед ним
+    const receipts = useMemo(() => {
+        const byEvent = {};
+        let readIndex = -1;
+        if (!room) return { byEvent, readIndex };
+        const msgIndex = new Map(msgEvents.map((e, i) => [e.getId?.(), i]));
+        const atOrBefore = new Map();
+        let last = -1;
+        for (const e of events || []) {
+            if (msgIndex.has(e.getId?.())) last = msgIndex.get(e.getId());
+            atOrBefore.set(e.getId?.(), last);
+        }
+        for (const m of room.getJoinedMembers?.() || []) {
+            if (m.userId === myUserId) continue;
+            const i = atOrBefore.get(room.getEventReadUpTo?.(m.userId)) ?? -1;
+            if (i < 0) continue;
+            const id = msgEvents[i].getId();
+            (byEvent[id] = byEvent[id] || []).push(m.userId);
+            readIndex = Math.max(readIndex, i);
+        }
+        return { byEvent, readIndex };
+    }, [room, events, msgEvents, myUserId]);
+
+    // local echo ещё без настоящего event id — marker и receipt на него не ставим
+    const lastRemote = [...msgEvents].reverse().find((e) => !e.status && e.getId?.()) || null;
+    const lastRemoteId = lastRemote?.getId?.() || null;
+
+    // fully_read и read receipt двигаем вместе: только когда комната на экране и долистана до конца
+    function markRead() {
+        if (!room || !lastRemoteId || lastRemoteId === markerId || document.visibilityState !== "visible") return;
+        setReadMarker({ roomId: room.roomId, eventId: lastRemoteId });
+        client
+            ?.setRoomReadMarkers?.(room.roomId, lastRemoteId, privateReceipts ? undefined : lastRemote, privateReceipts ? lastRemote : undefined)
+            .catch((e) => console.warn("Read marker update failed:", e));
+    }
+
+    function rememberScroll(el) {
+        scrollStateRef.current = {
+            roomId: room?.roomId,
+            firstId,
+            lastId,
+            top: el.scrollTop,
+            height: el.scrollHeight,
+            nearBottom: el.scrollHeight - el.scrollTop - el.clientHeight < 80,
+        };
+    }
+
+    function onScroll(e) {
+        const el = e.currentTarget;
+        rememberScroll(el);
+        if (scrollStateRef.current.nearBottom) markRead();
+        if (el.scrollTop < 120 && !loadingOlder && !atStart) onLoadOlder?.();
+    }
+
+    // после перестановки скролла: запомнить позицию; всё помещается на экран -> скролла (и onScroll) не будет, но видно всё
+    const afterScrollLayout = useEffectEvent((el) => {
+        rememberScroll(el);
+        if (el.scrollHeight <= el.clientHeight + 1) markRead();
+    });
+
+    // Scroll: вниз при открытии комнаты и новых сообщениях, на месте — когда сверху догрузилась история
+    useLayoutEffect(() => {
+        const el = scrollRef.current;
+        if (!el) return;
+        const prev = scrollStateRef.current;
+
+        if (prev.roomId !== room?.roomId) {
+            // есть непрочитанное -> открываем на divider, иначе вниз
+            if (dividerRef.current) dividerRef.current.scrollIntoView({ block: "center" });
+            else el.scrollTop = el.scrollHeight;
+        } else if (prev.firstId !== firstId && prev.lastId === lastId) {
+            el.scrollTop = prev.top + (el.scrollHeight - prev.height);
+        } else if (prev.lastId !== lastId && (prev.nearBottom || lastIsMine)) {
+            el.scrollTo({ top: el.scrollHeight, behavior: "smooth" });
+        }
+        afterScrollLayout(el);
+    }, [room?.roomId, firstId, lastId, lastIsMine]);
+
+    // История не заполняет экран -> скролла нет, значит и onScroll не сработает: грузим сами
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el || loadingOlder || atStart) return;
+        if (el.scrollHeight <= el.clientHeight + 1) onLoadOlder?.();
+    }, [room?.roomId, firstId, loadingOlder, atStart, onLoadOlder]);
+
+    const typingLine = (typingUsers || []).filter(Boolean).join(", ");
+
+    function onDrop(e) {
+        e.preventDefault();
+        setDragOver(false);
+        if (e.dataTransfer?.files?.length) onSendFiles?.(e.dataTransfer.files);
+    }
+
+    function onPaste(e) {
+        const files = e.clipboardData?.files;
+        if (!files?.length) return;
+        e.preventDefault();
+        onSendFiles?.(files);
+    }
+
+    return (
+        <div
+            onDragOver={(e) => {
+                if (!e.dataTransfer?.types?.includes("Files")) return;
+                e.preventDefault();
+                setDragOver(true);
+            }}
+            onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+            }}
+            onDrop={onDrop}
+            style={{ height: "100vh", display: "flex", flexDirection: "column", minWidth: 0, position: "relative" }}
+        >
+            {dragOver ? (
+                <div
+                    style={{
+                        position: "absolute",
+                        inset: 8,
+                        border: "2px dashed #111",
+                        borderRadius: 18,
+                        background: "rgba(255,255,255,0.85)",
+                        display: "grid",
+                        placeItems: "center",
+                        fontWeight: 800,
+                        zIndex: 10,
+                        pointerEvents: "none",
+                    }}
+                >
+                    Drop files to send
+                </div>
+            ) : null}
+
+            <header
+                style={{
+                    height: 64,
+                    padding: "0 12px",
+                    borderBottom: "1px solid #eee",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 10,
+                }}
+            >
+                {onBack ? (
+                    <button
+                        onClick={onBack}
+                        style={{
+                            width: 40,
+                            height: 40,
+                            borderRadius: 12,
+                            border: "1px solid #eee",
+                            background: "#fff",
+                            cursor: "pointer",
+                            fontSize: 18,
+                        }}
+                    >
+                        ←
+                    </button>
+                ) : null}
+
+                <div style={{ minWidth: 0, flex: 1 }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 6, minWidth: 0 }}>
+                        <div style={{ fontWeight: 900, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                            {roomName || "Chat"}
+                        </div>
+                        <PresenceDot user={partnerUser} />
+                        <RoomShield
+                            client={client}
+                            room={room}
+                            myUserId={myUserId}
+                            trustVersion={trustVersion}
+                            onVerifyUser={onVerifyUser}
+                        />
+                    </div>
+                    <div style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {typingLine
+                            ? `${typingLine} typing…`
+                            : [presenceLabel(partnerUser), partnerUser?.presenceStatusMsg].filter(Boolean).join(" · ") || room?.roomId}
+                    </div>
+                </div>
+
+                {onOpenInfo ? (
+                    <Btn subtle onClick={onOpenInfo}>
+                        ⓘ
+                    </Btn>
+                ) : null}
+            </header>
+
+            <div
+                ref={scrollRef}
+                onScroll={onScroll}
+                style={{ flex: 1, overflow: "auto", padding: 12, background: "#fafafa", overflowAnchor: "none" }}
+            >
+                {atStart ? (
+                    <div style={{ textAlign: "center", fontSize: 12, color: "#888", padding: "8px 0 16px" }}>
+                        Beginning of conversation
+                    </div>
+                ) : loadingOlder ? (
+                    <div style={{ textAlign: "center", fontSize: 12, color: "#888", padding: "8px 0 16px" }}>
+                        Loading older messages…
+                    </div>
+                ) : null}
+
+                {msgEvents.map((e, i) => (
+                    <React.Fragment key={e.getTxnId?.() || e.getId?.()}>
+                        <MessageBubble
+                            client={client}
+                            room={room}
+                            event={e}
+                            myUserId={myUserId}
+                            senderDisplayName={senderDisplayName}
+                            trustVersion={trustVersion}
+                            actions={actions}
+                            delivery={
+                                e.status === sdk.EventStatus.SENT ? "sent" : i <= receipts.readIndex ? "read" : "delivered"
+                            }
+                            readBy={receipts.byEvent[e.getId?.()]}
+                        />
+                        {e.getId?.() === dividerAfterId ? (
+                            <div
+                                ref={dividerRef}
+                                style={{ display: "flex", alignItems: "center", gap: 8, margin: "10px 0", color: "crimson", fontSize: 12, fontWeight: 700 }}
+                            >
+                                <div style={{ flex: 1, height: 1, background: "crimson", opacity: 0.4 }} />
+                                New messages
+                                <div style={{ flex: 1, height: 1, background: "crimson", opacity: 0.4 }} />
+                            </div>
+                        ) : null}
+                    </React.Fragment>
+                ))}
+            </div>
+
+            <footer style={{ padding: 12, borderTop: "1px solid #eee", background: "#fff" }}>
+                {offline ? (
+                    <div style={{ marginBottom: 8, fontSize: 12, color: "#a15c00" }}>
+                        Offline — messages will be sent when the connection is back
+                    </div>
+                ) : null}
+                {upload ? (
+                    <div style={{ marginBottom: 8, fontSize: 12, color: "#666" }}>
+                        <div style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                            Uploading {upload.name}… {upload.total ? Math.round((upload.loaded / upload.total) * 100) : 0}%
+                        </div>
+                        <div style={{ height: 4, borderRadius: 4, background: "#eee", marginTop: 4, overflow: "hidden" }}>
+                            <div
+                                style={{
+                                    height: "100%",
+                                    width: `${upload.total ? (upload.loaded / upload.total) * 100 : 0}%`,
+                                    background: "#111",
+                                    transition: "width 0.2s",
+                                }}
+                            />
+                        </div>
+                    </div>
+                ) : null}
+                {editing ? (
+                    <div
+                        style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 8,
+                            marginBottom: 8,
+                            padding: "6px 10px",
+                            borderLeft: "3px solid #111",
+                            background: "#f6f6f6",
+                            borderRadius: 8,
+                            fontSize: 12,
+                        }}
+                    >
+                        <div style={{ minWidth: 0, flex: 1 }}>
+                            <div style={{ fontWeight: 700 }}>Editing message</div>
+                            <div style={{ color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                                {previewText(editing, 120)}
+                            </div>
+                        </div>
+                        <span onClick={onCancelEdit} style={{ cursor: "pointer", fontSize: 16 }}>
+                            ×
+                        </span>
+                    </div>
+                ) : null}
+                {replyTo ? (
+                    <div
+                        style={{
+                            display: "flex",
+                            alignItems: "center",
+                            gap: 8,
+                            marginBottom: 8,
+                            padding: "6px 10px",
+                            borderLeft: "3px solid #111",
+                            background: "#f6f6f6",
+                            borderRadius: 8,
+                            fontSize: 12,
+                        }}
+                    >
+                        <div style={{ minWidth: 0, flex: 1 }}>
+                            <div style={{ fontWeight: 700 }}>
+                                Replying to {senderDisplayName(room, replyTo.getSender?.())}
+                            </div>
+                            <div style={{ color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                                {previewText(replyTo, 120)}
+                            </div>
+                        </div>
+                        <span onClick={onCancelReply} style={{ cursor: "pointer", fontSize: 16 }}>
+                            ×
+                        </span>
+                    </div>
+                ) : null}
+                <div style={{ display: "flex", gap: 8 }}>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        hidden
+                        onChange={(e) => {
+                            if (e.target.files?.length) onSendFiles?.(e.target.files);
+                            e.target.value = "";
+                        }}
+                    />
+                    <Btn subtle onClick={() => fileInputRef.current?.click()} disabled={!!upload}>
+                        📎
+                    </Btn>
+                    <input
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        onPaste={onPaste}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter") onSend();
+                            else if (e.key === "Escape") {
+                                if (editing) onCancelEdit?.();
+                                else if (replyTo) onCancelReply?.();
+                            }
+                        }}
+                        placeholder="Message"
+                        style={{
+                            flex: 1,
+                            padding: "12px 12px",
+                            borderRadius: 14,
+                            border: "1px solid #ddd",
+                            outline: "none",
+                            fontSize: 14,
+                        }}
+                    />
+                    <Btn onClick={onSend} disabled={!message.trim()}>
+                        {editing ? "Save" : "Send"}
+                    </Btn>
+                </div>
+            </footer>
+        </div>
+    );
+}
+
+// Thread panel: root + ответы из SDK Thread, свой composer (rel_type: m.thread)
+function ThreadPanel({ client, room, roomName, rootId, myUserId, senderDisplayName, trustVersion, actions, onClose }) {
+    const [, setTick] = useState(0);
+    const [text, setText] = useState("");
+    const [editing, setEditing] = useState(null);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const bottomRef = useRef(null);
+
+    useEffect(() => {
+        if (!room) return;
+        const bump = () => setTick((t) => t + 1);
+        const events = [
+            sdk.ThreadEvent.New,
+            sdk.ThreadEvent.Update,
+            sdk.ThreadEvent.NewReply,
+            "Room.timeline",
+            "Room.timelineReset",
+            "Room.localEchoUpdated",
+        ];
+        events.forEach((name) => room.on(name, bump));
+        return () => events.forEach((name) => room.off(name, bump));
+    }, [room]);
+
+    const thread = room?.getThread?.(rootId) || null;
+    const rootEvent = thread?.rootEvent || room?.findEventById?.(rootId) || null;
+    const timeline = thread?.liveTimeline;
+    const pending = (room?.getPendingEvents?.() || []).filter((e) => e.threadRootId === rootId && !e.isThreadRoot);
+    const replies = (timeline?.getEvents?.() || [])
+        .concat(pending)
+        .filter((e) => e.getId?.() !== rootId && isMessageEvent(e));
+    const canLoadOlder = !!timeline?.getPaginationToken?.(sdk.EventTimeline.BACKWARDS);
+    const lastReplyId = replies[replies.length - 1]?.getId?.();
+
+    useEffect(() => {
+        bottomRef.current?.scrollIntoView({ block: "end" });
+    }, [rootId, lastReplyId]);
+
+    async function loadOlder() {
+        if (!timeline || loadingOlder) return;
+        setLoadingOlder(true);
+        try {
+            await client.paginateEventTimeline(timeline, { backwards: true, limit: 30 });
+        } catch (e) {
+            console.warn("Thread pagination failed:", e);
+        } finally {
+            setLoadingOlder(false);
+        }
+    }
+
+    function sendReply() {
+        const body = text.trim();
+        if (!client || !room || !body) return;
+        const last = thread?.lastReply?.() || rootEvent;
+        const content = editing
+            ? buildEditContent(editing, body)
+            : buildTextContent(body, {
+                  rel_type: "m.thread",
+                  event_id: rootId,
+                  // fallback для клиентов без тредов: reply на последнее сообщение треда
+                  is_falling_back: true,
+                  "m.in_reply_to": { event_id: last?.getId?.() || rootId },
+              });
+
+        setText("");
+        setEditing(null);
+        sendQueued(client, room.roomId, rootId, content).catch((e) => console.warn("Send failed:", e));
+    }
+
+    const bubbleProps = {
+        client,
+        room,
+        myUserId,
+        senderDisplayName,
+        trustVersion,
+        actions: {
+            ...actions,
+            edit: (ev) => {
+                setEditing(ev);
+                setText(editableText(ev));
+            },
+        },
+    };
+
+    return (
+        <div style={{ height: "100vh", display: "flex", flexDirection: "column", minWidth: 0 }}>
+            <header
+                style={{
+                    height: 64,
+                    padding: "0 12px",
+                    borderBottom: "1px solid #eee",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 10,
+                }}
+            >
+                <div style={{ minWidth: 0, flex: 1 }}>
+                    <div style={{ fontWeight: 900 }}>Thread</div>
+                    <div style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {roomName || ""}
+                    </div>
+                </div>
+                <button
+                    onClick={onClose}
+                    style={{
+                        width: 40,
+                        height: 40,
+                        borderRadius: 12,
+                        border: "1px solid #eee",
+                        background: "#fff",
+                        cursor: "pointer",
+                        fontSize: 18,
+                    }}
+                >
+                    ×
+                </button>
+            </header>
+
+            <div style={{ flex: 1, overflow: "auto", padding: 12, background: "#fafafa" }}>
+                {rootEvent ? <MessageBubble {...bubbleProps} event={rootEvent} /> : null}
+                <div style={{ fontSize: 12, color: "#888", textAlign: "center", margin: "4px 0 12px" }}>
+                    {thread?.length || 0} {thread?.length === 1 ? "reply" : "replies"}
+                    {canLoadOlder ? (
+                        <>
+                            {" · "}
+                            <span onClick={loadOlder} style={{ cursor: "pointer", textDecoration: "underline" }}>
+                                {loadingOlder ? "Loading…" : "Load earlier replies"}
+                            </span>
+                        </>
+                    ) : null}
+                </div>
+                {replies.map((e) => (
+                    <MessageBubble key={e.getId?.() || e.getTxnId?.()} {...bubbleProps} event={e} />
+                ))}
+                <div ref={bottomRef} />
+            </div>
+
+            <footer style={{ padding: 12, borderTop: "1px solid #eee", background: "#fff" }}>
+                <div style={{ display: "flex", gap: 8 }}>
+                    <input
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter") sendReply();
+                            else if (e.key === "Escape" && editing) {
+                                setEditing(null);
+                                setText("");
+                            }
+                        }}
+                        placeholder={editing ? "Edit message" : "Reply in thread"}
+                        style={{
+                            flex: 1,
+                            padding: "12px 12px",
+                            borderRadius: 14,
+                            border: "1px solid #ddd",
+                            outline: "none",
+                            fontSize: 14,
+                        }}
+                    />
+                    <Btn onClick={sendReply} disabled={!text.trim()}>
+                        {editing ? "Save" : "Send"}
+                    </Btn>
+                </div>
+            </footer>
+        </div>
+    );
+}
+
+// delivery (только в ChatView): "sent" — сервер принял, "delivered" — пришло обратно через sync, "read" — кто-то дочитал.
+// readBy: участники, чей последний receipt — на этом сообщении
+function MessageBubble({ client, room, event: e, myUserId, senderDisplayName, trustVersion, actions = {}, delivery, readBy }) {
+    const sender = e.getSender?.() || "";
+    const isMine = !!myUserId && sender === myUserId;
+    const senderName = sender ? senderDisplayName(room, sender) : "";
+    const ts = e.getTs?.();
+    const content = e.getContent?.() || {};
+    const isUtd = !!e.isDecryptionFailure?.();
+    const isDecrypting = e.getType?.() === "m.room.encrypted";
+    const isMedia = MEDIA_MSGTYPES.includes(content.msgtype);
+    // стабильная ссылка: от неё зависит мемо HTML в MessageBody
+    const displayName = useCallback((userId) => senderDisplayName(room, userId), [senderDisplayName, room]);
+
+    const relation = content["m.relates_to"];
+    // в треде m.in_reply_to с is_falling_back — это не настоящий reply
+    const replyToId = relation?.is_falling_back ? null : relation?.["m.in_reply_to"]?.event_id;
+    const thread = actions.thread && e.isThreadRoot ? e.getThread?.() : null;
+    const threadCount = thread?.length || 0;
+    const muted = isMine ? "#cfcfcf" : "#888";
+    const isRedacted = !!e.isRedacted?.();
+    const isEdited = !isRedacted && !!e.replacingEventId?.();
+
+    // local echo до ответа сервера: id ещё временный ("~..."), действия над ним не имеют смысла
+    const isPending = PENDING_STATUSES.includes(e.status);
+    const isFailed = e.status === sdk.EventStatus.NOT_SENT;
+    const eventId = isPending ? null : e.getId?.();
+    const canRedact = !!eventId && !isRedacted && !!room?.currentState?.maySendRedactionForEvent?.(e, myUserId);
+    // правка (m.replace) отдельным пузырём не рисуется — её NOT_SENT показываем на оригинале
+    const failedEdit = eventId
+        ? room
+              ?.getPendingEvents?.()
+              .find(
+                  (p) =>
+                      p.status === sdk.EventStatus.NOT_SENT && p.isRelation?.("m.replace") && p.getRelation?.()?.event_id === eventId
+              )
+        : null;
+    const failedEvent = isFailed ? e : failedEdit;
+    const menuItems = !eventId || isRedacted
+        ? []
+        : [
+              actions.reply && { label: "Reply", onClick: () => actions.reply(e) },
+              actions.react && { label: "React", onClick: () => actions.react(e) },
+              actions.thread && !e.threadRootId && { label: "Reply in thread", onClick: () => actions.thread(eventId) },
+              actions.edit && canEditEvent(e, myUserId) && { label: "Edit", onClick: () => actions.edit(e) },
+              actions.history && isEdited && { label: "View edit history", onClick: () => actions.history(e) },
+              actions.delete && canRedact && { label: "Delete", danger: true, onClick: () => actions.delete(e) },
+          ].filter(Boolean);
+
+    return (
+        <div
+            id={eventId ? `ev-${eventId}` : undefined}
+            style={{
+                display: "flex",
+                flexDirection: "column",
+                alignItems: isMine ? "flex-end" : "flex-start",
+                marginBottom: 10,
+            }}
+        >
+            <div
+                style={{
+                    maxWidth: "78%",
+                    padding: "10px 12px",
+                    borderRadius: 16,
+                    background: isMine ? "#111" : "#fff",
+                    border: isMine ? "1px solid #111" : "1px solid #e8e8e8",
+                    color: isMine ? "#fff" : "#111",
+                }}
+            >
+                {!isMine ? (
+                    <div style={{ fontSize: 12, color: "#666", marginBottom: 4 }}>
+                        {senderName || sender}
+                        <EventShield client={client} event={e} trustVersion={trustVersion} />
+                    </div>
+                ) : null}
+
+                {replyToId && !isRedacted ? (
+                    <ReplyQuote
+                        client={client}
+                        room={room}
+                        eventId={replyToId}
+                        fallbackBody={content.body}
+                        displayName={displayName}
+                        isMine={isMine}
+                    />
+                ) : null}
+
+                {isRedacted ? (
+                    <div style={{ fontStyle: "italic", opacity: 0.7 }}>
+                        🗑 Message deleted
+                        {e.getUnsigned?.()?.redacted_because?.content?.reason
+                            ? ` (${e.getUnsigned().redacted_because.content.reason})`
+                            : ""}
+                    </div>
+                ) : isUtd ? (
+                    <div style={{ fontStyle: "italic", opacity: 0.8 }}>🔒 Unable to decrypt: {utdReason(e)}</div>
+                ) : isDecrypting ? (
+                    <div style={{ fontStyle: "italic", opacity: 0.7 }}>🔒 Decrypting…</div>
+                ) : isMedia ? (
+                    <MediaBody client={client} event={e} isMine={isMine} />
+                ) : (
+                    <MessageBody client={client} content={content} displayName={displayName} myUserId={myUserId} />
+                )}
+
+                <div
+                    style={{
+                        fontSize: 11,
+                        marginTop: 6,
+                        color: muted,
+                        display: "flex",
+                        justifyContent: "flex-end",
+                        gap: 10,
+                    }}
+                >
+                    {isEdited ? (
+                        <span
+                            onClick={actions.history ? () => actions.history(e) : undefined}
+                            title="View edit history"
+                            style={{ cursor: actions.history ? "pointer" : "default" }}
+                        >
+                            (edited)
+                        </span>
+                    ) : null}
+                    <span>{formatTime(ts)}</span>
+                    {isPending && !isFailed ? (
+                        <span title="Sending…">🕓</span>
+                    ) : isMine && delivery && eventId ? (
+                        <span
+                            title={delivery === "sent" ? "Sent" : delivery === "read" ? "Read" : "Delivered"}
+                            style={{ color: delivery === "read" ? "#6cb4ff" : muted, letterSpacing: -3, paddingRight: 3 }}
+                        >
+                            {delivery === "sent" ? "✓" : "✓✓"}
+                        </span>
+                    ) : null}
+                    {menuItems.length ? <MessageMenu items={menuItems} color={muted} /> : null}
+                </div>
+            </div>
+
+            {failedEvent ? (
+                <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 4, fontSize: 12, color: "#c0392b" }}>
+                    <span>{isFailed ? "⚠ Not sent" : "⚠ Edit not sent"}</span>
+                    {actions.retry ? (
+                        <button onClick={() => actions.retry(failedEvent)} style={{ background: "none", border: "none", padding: 0, cursor: "pointer", fontSize: 12, fontWeight: 700, color: "#c0392b" }}>
+                            Retry
+                        </button>
+                    ) : null}
+                    {actions.discard ? (
+                        <button onClick={() => actions.discard(failedEvent)} style={{ background: "none", border: "none", padding: 0, cursor: "pointer", fontSize: 12, fontWeight: 700, color: "#c0392b" }}>
+                            {isFailed ? "Delete" : "Discard edit"}
+                        </button>
+                    ) : null}
+                </div>
+            ) : null}
+
+            {readBy?.length ? <ReadAvatars client={client} room={room} userIds={readBy} displayName={displayName} /> : null}
+
+            {eventId && !isRedacted && actions.toggleReaction ? (
+                <ReactionsRow
+                    room={room}
+                    event={e}
+                    myUserId={myUserId}
+                    displayName={displayName}
+                    onToggle={(key) => actions.toggleReaction(e, key)}
+                    onMore={actions.react ? () => actions.react(e) : null}
+                />
+            ) : null}
+
+            {threadCount ? (
+                <div
+                    onClick={() => actions.thread(eventId)}
+                    style={{ fontSize: 12, fontWeight: 700, color: "#555", marginTop: 4, cursor: "pointer" }}
+                >
+                    💬 {threadCount} {threadCount === 1 ? "reply" : "replies"}
+                    {thread.replyToEvent ? (
+                        <span style={{ fontWeight: 400, color: "#888" }}>
+                            {" "}
+                            · {truncateMiddle(displayName(thread.replyToEvent.getSender()), 18)}: {previewText(thread.replyToEvent, 40)}
+                        </span>
+                    ) : null}
+                </div>
+            ) : null}
+        </div>
+    );
+}
+
+// Кто дочитал до этого сообщения: несколько аватарок + "+N"
+const READ_AVATARS_MAX = 5;
+
+function ReadAvatars({ client, room, userIds, displayName }) {
+    const shown = userIds.slice(0, READ_AVATARS_MAX);
+    const names = userIds.map(displayName).join(", ");
+    return (
+        <div title={`Read by ${names}`} style={{ display: "flex", alignItems: "center", gap: 2, marginTop: 4 }}>
+            {shown.map((userId) => {
+                const avatar = room?.getMember?.(userId)?.getMxcAvatarUrl?.();
+                return (
+                    <div
+                        key={userId}
+                        style={{
+                            width: 16,
+                            height: 16,
+                            borderRadius: 8,
+                            overflow: "hidden",
+                            background: "#e6e6e6",
+                            display: "grid",
+                            placeItems: "center",
+                            fontSize: 9,
+                            fontWeight: 800,
+                            color: "#555",
+                        }}
+                    >
+                        <MxcImage
+                            client={client}
+                            mxc={avatar}
+                            alt=""
+                            width={32}
+                            height={32}
+                            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                            fallback={(displayName(userId) || "?").replace(/^@/, "").slice(0, 1).toUpperCase()}
+                        />
+                    </div>
+                );
+            })}
+            {userIds.length > shown.length ? (
+                <span style={{ fontSize: 10, color: "#888", marginLeft: 2 }}>+{userIds.length - shown.length}</span>
+            ) : null}
+        </div>
+    );
+}
+
+// Чипы реакций: агрегируем m.annotation по key через RelationsContainer комнаты
+function ReactionsRow({ room, event, myUserId, displayName, onToggle, onMore }) {
+    const [, setTick] = useState(0);
+    const relations = room?.relations?.getChildEventsForEvent?.(event.getId(), "m.annotation", "m.reaction");
+
+    useEffect(() => {
+        if (!relations) return;
+        const bump = () => setTick((t) => t + 1);
+        const names = [sdk.RelationsEvent.Add, sdk.RelationsEvent.Remove, sdk.RelationsEvent.Redaction];
+        names.forEach((n) => relations.on(n, bump));
+        return () => names.forEach((n) => relations.off(n, bump));
+    }, [relations]);
+
+    const groups = (relations?.getSortedAnnotationsByKey?.() || [])
+        .map(([key, set]) => [key, Array.from(set).filter((r) => !r.isRedacted())])
+        .filter(([, list]) => list.length);
+    if (!groups.length) return null;
+
+    return (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 4, maxWidth: "78%" }}>
+            {groups.map(([key, list]) => {
+                const senders = list.map((r) => r.getSender());
+                const mine = senders.includes(myUserId);
+                const who = senders.map((u) => (u === myUserId ? "You" : displayName(u))).join(", ");
+                return (
+                    <span
+                        key={key}
+                        onClick={() => onToggle(key)}
+                        title={`${who} reacted with ${key}`}
+                        style={{
+                            display: "inline-flex",
+                            alignItems: "center",
+                            gap: 4,
+                            padding: "2px 8px",
+                            borderRadius: 12,
+                            fontSize: 13,
+                            cursor: "pointer",
+                            background: mine ? "#e8f0ff" : "#fff",
+                            border: `1px solid ${mine ? "#5b8def" : "#e6e6e6"}`,
+                        }}
+                    >
+                        <span>{key}</span>
+                        <span style={{ fontSize: 11, fontWeight: 700, color: "#555" }}>{list.length}</span>
+                    </span>
+                );
+            })}
+            {onMore ? (
+                <span
+                    onClick={onMore}
+                    title="Add reaction"
+                    style={{
+                        padding: "2px 8px",
+                        borderRadius: 12,
+                        fontSize: 13,
+                        cursor: "pointer",
+                        border: "1px solid #e6e6e6",
+                        background: "#fff",
+                        color: "#888",
+                    }}
+                >
+                    +
+                </span>
+            ) : null}
+        </div>
+    );
+}
+
+function ReactionPicker({ onPick, onClose }) {
+    const [query, setQuery] = useState("");
+    const [recent] = useState(loadRecentEmoji);
+
+    const q = query.trim().toLowerCase();
+    const found = q ? EMOJI_LIST.filter((e) => e.keywords.includes(q) || e.emoji === q) : EMOJI_LIST;
+
+    const cell = (emoji) => (
+        <button
+            key={emoji}
+            onClick={() => onPick(emoji)}
+            style={{ fontSize: 24, width: 44, height: 44, border: "none", background: "transparent", cursor: "pointer", borderRadius: 10 }}
+        >
+            {emoji}
+        </button>
+    );
+
+    return (
+        <Modal title="React" onClose={onClose}>
+            <input
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search emoji..."
+                autoFocus
+                style={inputStyle}
+            />
+            {!q ? (
+                <>
+                    <div style={{ fontSize: 12, fontWeight: 700, color: "#666", margin: "10px 0 4px" }}>
+                        {recent.length ? "Recently used" : "Quick"}
+                    </div>
+                    <div style={{ display: "flex", flexWrap: "wrap" }}>{(recent.length ? recent : QUICK_REACTIONS).map(cell)}</div>
+                </>
+            ) : null}
+            <div style={{ fontSize: 12, fontWeight: 700, color: "#666", margin: "10px 0 4px" }}>
+                {q ? `Results (${found.length})` : "All"}
+            </div>
+            <div style={{ display: "flex", flexWrap: "wrap", maxHeight: 260, overflow: "auto" }}>
+                {found.map((e) => cell(e.emoji))}
+                {!found.length ? <div style={{ color: "#888", padding: 8 }}>Nothing found</div> : null}
+            </div>
+        </Modal>
+    );
+}
+
+function MessageMenu({ items, color }) {
+    const [open, setOpen] = useState(false);
+
+    return (
+        <span style={{ position: "relative" }}>
+            <span onClick={() => setOpen(true)} style={{ cursor: "pointer", padding: "0 4px", color, fontWeight: 900 }}>
+                ⋯
+            </span>
+            {open ? (
+                <>
+                    <div onMouseDown={() => setOpen(false)} style={{ position: "fixed", inset: 0, zIndex: 50 }} />
+                    <div
+                        style={{
+                            position: "absolute",
+                            right: 0,
+                            bottom: "100%",
+                            zIndex: 51,
+                            minWidth: 170,
+                            background: "#fff",
+                            border: "1px solid #eee",
+                            borderRadius: 12,
+                            boxShadow: "0 6px 20px rgba(0,0,0,0.15)",
+                            padding: 4,
+                            textAlign: "left",
+                        }}
+                    >
+                        {items.map((item) => (
+                            <div
+                                key={item.label}
+                                onClick={() => {
+                                    setOpen(false);
+                                    item.onClick();
+                                }}
+                                style={{
+                                    padding: "8px 10px",
+                                    borderRadius: 8,
+                                    fontSize: 13,
+                                    fontWeight: 600,
+                                    cursor: "pointer",
+                                    color: item.danger ? "crimson" : "#111",
+                                }}
+                            >
+                                {item.label}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            ) : null}
+        </span>
+    );
+}
+
+function DeleteMessageDialog({ client, event, onClose }) {
+    const [reason, setReason] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    async function redact() {
+        setErr("");
+        setBusy(true);
+        try {
+            const opts = reason.trim() ? { reason: reason.trim() } : undefined;
+            await client.redactEvent(event.getRoomId(), event.threadRootId ?? null, event.getId(), undefined, opts);
+            onClose();
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <Modal
+            title="Delete message"
+            onClose={() => {
+                if (!busy) onClose();
+            }}
+        >
+            <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
+                Сообщение будет удалено у всех участников: {previewText(event, 80)}
+            </div>
+            <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason (optional)"
+                style={inputStyle}
+            />
+            {err ? <div style={{ color: "crimson", marginTop: 10 }}>{err}</div> : null}
+            <div style={{ height: 12 }} />
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                <Btn subtle onClick={onClose} disabled={busy}>
+                    Cancel
+                </Btn>
+                <Btn onClick={redact} disabled={busy}>
+                    {busy ? "Deleting..." : "Delete"}
+                </Btn>
+            </div>
+        </Modal>
+    );
+}
+
+function EditHistoryDialog({ client, event, onClose }) {
+    const [versions, setVersions] = useState(null);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        let cancelled = false;
+        client
+            .relations(event.getRoomId(), event.getId(), "m.replace", "m.room.message")
+            .then(({ originalEvent, events }) => {
+                if (cancelled) return;
+                const original = originalEvent || event;
+                const edits = events
+                    .filter((ev) => !ev.isRedacted())
+                    .map((ev) => ({ id: ev.getId(), ts: ev.getTs(), body: ev.getContent()["m.new_content"]?.body }));
+                setVersions(
+                    [{ id: original.getId(), ts: original.getTs(), body: original.getOriginalContent().body }]
+                        .concat(edits)
+                        .sort((a, b) => a.ts - b.ts)
+                );
+            })
+            .catch((e) => {
+                if (!cancelled) setErr(String(e?.message || e));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [client, event]);
+
+    return (
+        <Modal title="Edit history" onClose={onClose}>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+            {!versions && !err ? <div style={{ color: "#666" }}>Loading…</div> : null}
+            <div style={{ display: "grid", gap: 10, maxHeight: "60vh", overflow: "auto" }}>
+                {(versions || []).map((v, i) => (
+                    <div key={v.id} style={{ borderBottom: "1px solid #f0f0f0", paddingBottom: 8 }}>
+                        <div style={{ fontSize: 11, color: "#888" }}>
+                            {new Date(v.ts).toLocaleString()} {i === 0 ? "· original" : ""}
+                        </div>
+                        <div style={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}>{safeText(v.body)}</div>
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+}
+
+// Цитата сообщения, на которое отвечают; если его нет в загруженном timeline — подтягиваем с сервера
+function ReplyQuote({ client, room, eventId, fallbackBody, displayName, isMine }) {
+    const [fetched, setFetched] = useState(null);
+    // 404, history visibility, offline — показываем цитату из body ответа или "unavailable"
+    const [failedId, setFailedId] = useState(null);
+    const local = room?.findEventById?.(eventId) || null;
+    const ev = local || (fetched?.getId() === eventId ? fetched : null);
+    const fallback = !ev && failedId === eventId ? parseReplyFallback(fallbackBody) : null;
+
+    useEffect(() => {
+        if (local || !client || !room) return;
+        let cancelled = false;
+        client
+            .fetchRoomEvent(room.roomId, eventId)
+            .then(async (raw) => {
+                const mev = new sdk.MatrixEvent(raw);
+                await client.decryptEventIfNeeded(mev);
+                if (!cancelled) setFetched(mev);
+            })
+            .catch((e) => {
+                console.warn("Reply target unavailable:", e);
+                if (!cancelled) setFailedId(eventId);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [client, room, eventId, local]);
+
+    function jump() {
+        document.getElementById(`ev-${eventId}`)?.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+
+    return (
+        <div
+            onClick={jump}
+            style={{
+                borderLeft: `3px solid ${isMine ? "#888" : "#bbb"}`,
+                padding: "2px 8px",
+                marginBottom: 6,
+                fontSize: 12,
+                cursor: "pointer",
+                opacity: 0.85,
+            }}
+        >
+            {ev ? (
+                <>
+                    <div style={{ fontWeight: 700 }}>{displayName(ev.getSender())}</div>
+                    <div style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{previewText(ev, 80)}</div>
+                </>
+            ) : fallback ? (
+                <>
+                    <div style={{ fontWeight: 700 }}>{displayName(fallback.sender)}</div>
+                    <div style={{ whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{fallback.text}</div>
+                </>
+            ) : failedId === eventId ? (
+                <div style={{ fontStyle: "italic" }}>Original message unavailable</div>
+            ) : (
+                <div style={{ fontStyle: "italic" }}>Loading reply…</div>
+            )}
+        </div>
+    );
+}
+
+// Text body: formatted_body (sanitized) или plain body
+function MessageBody({ client, content, displayName, myUserId }) {
+    const formatted = content?.format === HTML_FORMAT ? safeText(content.formatted_body) : "";
+    const rendered = useMemo(
+        () => (formatted ? renderSafeHtml(formatted, { client, displayName, myUserId }) : null),
+        [formatted, client, displayName, myUserId]
+    );
+
+    if (rendered) return <div style={{ wordBreak: "break-word" }}>{rendered}</div>;
+    const isReply = !!content?.["m.relates_to"]?.["m.in_reply_to"];
+    const body = isReply ? stripReplyFallback(safeText(content?.body)) : safeText(content?.body);
+    return <div style={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}>{body}</div>;
+}
+
+function MentionPill({ userId, label, isMe }) {
+    return (
+        <span
+            title={userId}
+            style={{
+                display: "inline-block",
+                padding: "0 6px",
+                borderRadius: 10,
+                fontWeight: 700,
+                fontSize: "0.92em",
+                background: isMe ? "#ffd54f" : "rgba(127,127,127,0.2)",
+                color: isMe ? "#111" : "inherit",
+            }}
+        >
+            @{label && label !== userId ? label : userId.slice(1)}
+        </span>
+    );
+}
+
+function Spoiler({ reason, children }) {
+    const [shown, setShown] = useState(false);
+    return (
+        <span
+            onClick={() => setShown(true)}
+            title={shown ? undefined : reason ? `Spoiler: ${reason}` : "Spoiler"}
+            style={{
+                borderRadius: 4,
+                padding: "0 2px",
+                cursor: shown ? "text" : "pointer",
+                background: shown ? "rgba(127,127,127,0.15)" : "#777",
+                color: shown ? "inherit" : "transparent",
+            }}
+        >
+            {reason && !shown ? <span style={{ color: "#fff", fontSize: "0.85em" }}>({reason}) </span> : null}
+            {children}
+        </span>
+    );
+}
+
+// inline <img src="mxc://..."> (custom emoji и т.п.) через authenticated media.
+// Для аватарок: style заменяет стиль картинки, fallback показывается, пока не загрузилась (или не загрузится)
+function MxcImage({ client, mxc, alt, width, height, style, fallback }) {
+    // blob url вместе с mxc, из которого он получен: аватарку сменили/убрали -> старую не показываем
+    const [loaded, setLoaded] = useState(null);
+    const url = loaded && loaded.mxc === mxc ? loaded.url : null;
+
+    useEffect(() => {
+        if (!client || !mxc) return;
+        let cancelled = false;
+        let objectUrl = null;
+        loadMediaBlob(client, { url: mxc }, undefined, width && height ? { width, height } : null)
+            .then((blob) => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(blob);
+                setLoaded({ mxc, url: objectUrl });
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [client, mxc, width, height]);
+
+    if (!url) return fallback ?? <span>{alt}</span>;
+    return <img src={url} alt={alt} title={alt} style={style || { width, height, maxWidth: "100%", maxHeight: 256, verticalAlign: "middle" }} />;
+}
+
+// m.image / m.video / m.audio / m.file
+function MediaBody({ client, event, isMine }) {
+    const content = event.getContent?.() || {};
+    const info = content.info || {};
+    const msgtype = content.msgtype;
+    const name = content.filename || content.body || "file";
+    const source = content.file ? { file: content.file } : content.url ? { url: content.url } : null;
+
+    // картинки грузим сразу (превью), видео/аудио/файлы — по клику
+    const [requested, setRequested] = useState(msgtype === "m.image");
+    const [blobUrl, setBlobUrl] = useState(null);
+    const [err, setErr] = useState("");
+
+    const blurhash = info["xyz.amorgan.blurhash"];
+    // blurhash события не меняется: декодируем один раз на пузырь
+    const [placeholder] = useState(() => (blurhash ? blurhashDataUrl(blurhash) : null));
+
+    useEffect(() => {
+        if (!requested || !client) return;
+        const c = event.getContent?.() || {};
+        const { source: full, thumbSource } = mediaSources(c);
+        if (!full) return;
+        let cancelled = false;
+        let url = null;
+        const isImage = c.msgtype === "m.image";
+        const useThumb = isImage && thumbSource;
+        const src = useThumb ? thumbSource : full;
+        const mimetype = useThumb ? c.info?.thumbnail_info?.mimetype : c.info?.mimetype;
+        // для нешифрованной картинки без thumbnail просим серверное превью
+        const size = isImage && !useThumb && !full.file ? { width: THUMB_MAX_W, height: THUMB_MAX_H } : null;
+
+        loadMediaBlob(client, src, mimetype, size)
+            .then((blob) => {
+                if (cancelled) return;
+                url = URL.createObjectURL(blob);
+                setBlobUrl(url);
+            })
+            .catch((e) => {
+                if (!cancelled) setErr(String(e?.message || e));
+            });
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [requested, client, event]);
+
+    async function download() {
+        try {
+            const blob = await loadMediaBlob(client, source, info.mimetype);
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = name;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+        } catch (e) {
+            setErr(String(e?.message || e));
+        }
+    }
+
+    if (!source) return <div style={{ fontStyle: "italic", opacity: 0.7 }}>{name}</div>;
+
+    const muted = isMine ? "#cfcfcf" : "#666";
+    const meta = [formatBytes(info.size), info.mimetype].filter(Boolean).join(" · ");
+    const errLine = err ? <div style={{ color: "crimson", fontSize: 12 }}>{err}</div> : null;
+
+    if (msgtype === "m.image") {
+        const w = info.w || 320;
+        const h = info.h || 240;
+        return (
+            <div>
+                <div
+                    style={{
+                        width: Math.min(320, w),
+                        maxWidth: "100%",
+                        aspectRatio: `${w} / ${h}`,
+                        borderRadius: 12,
+                        overflow: "hidden",
+                        background: placeholder ? `center / cover no-repeat url(${placeholder})` : "#eee",
+                        cursor: "pointer",
+                    }}
+                    onClick={download}
+                    title={name}
+                >
+                    {blobUrl ? (
+                        <img src={blobUrl} alt={name} style={{ width: "100%", height: "100%", objectFit: "cover", display: "block" }} />
+                    ) : null}
+                </div>
+                {errLine}
+            </div>
+        );
+    }
+
+    if ((msgtype === "m.video" || msgtype === "m.audio") && blobUrl) {
+        return msgtype === "m.video" ? (
+            <video src={blobUrl} controls autoPlay style={{ maxWidth: "100%", maxHeight: 360, borderRadius: 12 }} />
+        ) : (
+            <audio src={blobUrl} controls autoPlay style={{ maxWidth: "100%" }} />
+        );
+    }
+
+    const icon = msgtype === "m.video" ? "🎬" : msgtype === "m.audio" ? "🎵" : "📄";
+    const playable = msgtype === "m.video" || msgtype === "m.audio";
+
+    return (
+        <div>
+            <div
+                onClick={playable ? () => setRequested(true) : download}
+                style={{ display: "flex", alignItems: "center", gap: 10, cursor: "pointer" }}
+            >
+                <div style={{ fontSize: 26 }}>{requested && !blobUrl && !err ? "⏳" : icon}</div>
+                <div style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: 700, wordBreak: "break-word" }}>{name}</div>
+                    <div style={{ fontSize: 12, color: muted }}>
+                        {meta}
+                        {info.duration ? ` · ${Math.round(info.duration / 1000)}s` : ""}
+                        {playable ? " · tap to play" : " · tap to download"}
+                    </div>
+                </div>
+            </div>
+            {errLine}
+        </div>
+    );
+}
+
+// Информация о комнате (ⓘ в шапке чата). Что не позволяет наш power level — выключено
+function RoomInfoDrawer({ client, room, roomName, myUserId, onChange, onLeft, onClose }) {
+    const [, setTick] = useState(0);
+
+    // m.room.* state, membership, power levels и presence приходят через sync — перерисовываемся
+    useEffect(() => {
+        const bump = () => setTick((t) => t + 1);
+        const events = [sdk.RoomStateEvent.Events, sdk.RoomMemberEvent.Membership, sdk.RoomMemberEvent.PowerLevel, sdk.UserEvent.Presence];
+        events.forEach((name) => client.on(name, bump));
+        // lazy loading members: полный список участников только по запросу
+        room.loadMembersIfNeeded().then(bump, (e) => console.warn("Members load failed:", e));
+        return () => events.forEach((name) => client.off(name, bump));
+    }, [client, room]);
+
+    const alias = room.getCanonicalAlias();
+    const topic = roomStateContent(room, "m.room.topic").topic;
+    const divider = <div style={{ borderTop: "1px solid #eee", margin: "10px 0" }} />;
+
+    return (
+        <Drawer title="Room info" onClose={onClose}>
+            <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                <div
+                    style={{
+                        width: 64,
+                        height: 64,
+                        borderRadius: 20,
+                        overflow: "hidden",
+                        background: "#f2f2f2",
+                        display: "grid",
+                        placeItems: "center",
+                        fontWeight: 900,
+                        fontSize: 24,
+                        flexShrink: 0,
+                    }}
+                >
+                    <MxcImage
+                        client={client}
+                        mxc={room.getMxcAvatarUrl()}
+                        alt=""
+                        width={96}
+                        height={96}
+                        style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                        fallback={(roomName || "?").replace(/^[#@]/, "").slice(0, 1).toUpperCase()}
+                    />
+                </div>
+                <div style={{ minWidth: 0 }}>
+                    <div style={{ fontWeight: 900, wordBreak: "break-word" }}>{roomName || "Chat"}</div>
+                    <div style={{ fontSize: 12, color: "#666", wordBreak: "break-all" }}>{alias || room.roomId}</div>
+                    {topic ? <div style={{ fontSize: 13, marginTop: 4, whiteSpace: "pre-wrap" }}>{topic}</div> : null}
+                </div>
+            </div>
+            {divider}
+            <RoomGeneralSection client={client} room={room} myUserId={myUserId} />
+            {divider}
+            <RoomNotifySection client={client} room={room} onChange={onChange} />
+            {divider}
+            <RoomAccessSection client={client} room={room} myUserId={myUserId} />
+            {divider}
+            <RoomMembersSection client={client} room={room} myUserId={myUserId} />
+            {divider}
+            <RoomLeaveSection client={client} room={room} roomName={roomName} onLeft={onLeft} />
+        </Drawer>
+    );
+}
+
+// Имя, тема, аватар — отдельные state events, у каждого свой power level
+function RoomGeneralSection({ client, room, myUserId }) {
+    const [name, setName] = useState(() => roomStateContent(room, "m.room.name").name || "");
+    const [topic, setTopic] = useState(() => roomStateContent(room, "m.room.topic").topic || "");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+    const fileRef = useRef(null);
+
+    const state = room.currentState;
+    const canName = state.maySendStateEvent("m.room.name", myUserId);
+    const canTopic = state.maySendStateEvent("m.room.topic", myUserId);
+    const canAvatar = state.maySendStateEvent("m.room.avatar", myUserId);
+    const hasAvatar = !!roomStateContent(room, "m.room.avatar").url;
+    const changed =
+        (canName && name.trim() !== (roomStateContent(room, "m.room.name").name || "")) ||
+        (canTopic && topic.trim() !== (roomStateContent(room, "m.room.topic").topic || ""));
+
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function save() {
+        return run(async () => {
+            if (canName && name.trim() !== (roomStateContent(room, "m.room.name").name || "")) {
+                await client.setRoomName(room.roomId, name.trim());
+            }
+            if (canTopic && topic.trim() !== (roomStateContent(room, "m.room.topic").topic || "")) {
+                await client.setRoomTopic(room.roomId, topic.trim());
+            }
+        });
+    }
+
+    // аватар комнаты — state event, его видят и до входа, поэтому загружается без шифрования
+    function pickAvatar(e) {
+        const file = e.target.files?.[0];
+        e.target.value = "";
+        if (!file) return;
+        run(async () => {
+            const res = await client.uploadContent(file, { name: file.name, type: file.type });
+            await client.sendStateEvent(room.roomId, "m.room.avatar", { url: res.content_uri }, "");
+        });
+    }
+
+    if (!canName && !canTopic && !canAvatar) return null;
+
+    return (
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>General</div>
+            <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Room name"
+                disabled={!canName || busy}
+                style={inputStyle}
+            />
+            <textarea
+                value={topic}
+                onChange={(e) => setTopic(e.target.value)}
+                placeholder="Topic"
+                rows={2}
+                disabled={!canTopic || busy}
+                style={{ ...inputStyle, resize: "vertical", fontFamily: "inherit" }}
+            />
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <Btn onClick={save} disabled={busy || !changed}>
+                    {busy ? "Saving..." : "Save"}
+                </Btn>
+                <Btn subtle onClick={() => fileRef.current?.click()} disabled={busy || !canAvatar}>
+                    Change avatar
+                </Btn>
+                {hasAvatar ? (
+                    <Btn
+                        subtle
+                        onClick={() => run(() => client.sendStateEvent(room.roomId, "m.room.avatar", {}, ""))}
+                        disabled={busy || !canAvatar}
+                    >
+                        Remove avatar
+                    </Btn>
+                ) : null}
+                <input ref={fileRef} type="file" accept="image/*" onChange={pickAvatar} style={{ display: "none" }} />
+            </div>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
+    );
+}
+
+function RoomNotifySection({ client, room, onChange }) {
+    const [mode, setMode] = useState(() => roomNotifyMode(client, room.roomId));
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    async function changeMode(next) {
+        const prev = mode;
+        setErr("");
+        setMode(next);
+        setBusy(true);
+        try {
+            await setRoomNotifyMode(client, room.roomId, next);
+            onChange?.();
+        } catch (e) {
+            setMode(prev);
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    return (
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>Notifications</div>
+            {ROOM_NOTIFY_MODES.map((m) => (
+                <label key={m.value} style={{ display: "flex", gap: 8, alignItems: "center", cursor: busy ? "default" : "pointer" }}>
+                    <input
+                        type="radio"
+                        name="room-notify-mode"
+                        checked={mode === m.value}
+                        disabled={busy}
+                        onChange={() => changeMode(m.value)}
+                    />
+                    {m.label}
+                </label>
+            ))}
+            <div style={{ color: "#666", fontSize: 13 }}>
+                Правила хранятся на сервере (push rules) и действуют на всех устройствах.
+            </div>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
+    );
+}
+
+// Кто видит историю, как войти, E2E (включается один раз и навсегда)
+function RoomAccessSection({ client, room, myUserId }) {
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const state = room.currentState;
+    const history = roomStateContent(room, "m.room.history_visibility").history_visibility || "shared";
+    const joinRule = room.getJoinRule();
+    const encrypted = room.hasEncryptionStateEvent();
+
+    async function send(type, content) {
+        setErr("");
+        setBusy(true);
+        try {
+            await client.sendStateEvent(room.roomId, type, content, "");
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function enableEncryption() {
+        if (!confirm("Enable end-to-end encryption? It can't be turned off later, and bridges or bots may stop working.")) return;
+        send("m.room.encryption", { algorithm: "m.megolm.v1.aes-sha2" });
+    }
+
+    return (
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>Access</div>
+            <label style={{ display: "grid", gap: 4 }}>
+                <span style={{ color: "#666", fontSize: 13 }}>Who can read history</span>
+                <select
+                    value={history}
+                    onChange={(e) => send("m.room.history_visibility", { history_visibility: e.target.value })}
+                    disabled={busy || !state.maySendStateEvent("m.room.history_visibility", myUserId)}
+                    style={inputStyle}
+                >
+                    {HISTORY_VISIBILITY_OPTIONS.map((o) => (
+                        <option key={o.value} value={o.value}>
+                            {o.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label style={{ display: "grid", gap: 4 }}>
+                <span style={{ color: "#666", fontSize: 13 }}>Who can join</span>
+                <select
+                    value={joinRule}
+                    onChange={(e) => send("m.room.join_rules", { join_rule: e.target.value })}
+                    disabled={busy || !state.maySendStateEvent("m.room.join_rules", myUserId)}
+                    style={inputStyle}
+                >
+                    {JOIN_RULE_OPTIONS.some((o) => o.value === joinRule) ? null : <option value={joinRule}>{joinRule}</option>}
+                    {JOIN_RULE_OPTIONS.map((o) => (
+                        <option key={o.value} value={o.value}>
+                            {o.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            {encrypted ? (
+                <div style={{ color: "#0a7d32" }}>🔒 End-to-end encrypted</div>
+            ) : (
+                <div style={{ display: "grid", gap: 6 }}>
+                    <div style={{ color: "#666", fontSize: 13 }}>Сообщения в этой комнате не зашифрованы.</div>
+                    <div>
+                        <Btn onClick={enableEncryption} disabled={busy || !state.maySendStateEvent("m.room.encryption", myUserId)}>
+                            Enable encryption
+                        </Btn>
+                    </div>
+                </div>
+            )}
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
+    );
+}
+
+const MEMBER_GROUPS = [
+    { membership: "join", label: "Members" },
+    { membership: "invite", label: "Invited" },
+    { membership: "ban", label: "Banned" },
+];
+
+function RoomMembersSection({ client, room, myUserId }) {
+    const [invitee, setInvitee] = useState("");
+    const [filter, setFilter] = useState("");
+    const [openId, setOpenId] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const canInvite = room.canInvite(myUserId);
+    const q = filter.trim().toLowerCase();
+    const members = room
+        .getMembers()
+        .filter((m) => !q || m.userId.toLowerCase().includes(q) || (m.name || "").toLowerCase().includes(q))
+        .sort((a, b) => b.powerLevel - a.powerLevel || (a.name || a.userId).localeCompare(b.name || b.userId));
+
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+            return true;
+        } catch (e) {
+            setErr(String(e?.message || e));
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    async function invite() {
+        const userId = normalizeMxId(invitee, myUserId);
+        if (!userId) return;
+        if (await run(() => client.invite(room.roomId, userId))) setInvitee("");
+    }
+
+    // reason необязателен; null — пользователь передумал
+    function moderate(action, member) {
+        const verb = { kick: "Remove", ban: "Ban", unban: "Unban", uninvite: "Cancel invite for" }[action];
+        if (action === "unban") {
+            if (!confirm(`${verb} ${member.name || member.userId}?`)) return;
+            run(() => client.unban(room.roomId, member.userId));
+            return;
+        }
+        const reason = prompt(`${verb} ${member.name || member.userId}? Reason (optional):`, "");
+        if (reason === null) return;
+        run(() =>
+            action === "ban"
+                ? client.ban(room.roomId, member.userId, reason || undefined)
+                : client.kick(room.roomId, member.userId, reason || undefined)
+        );
+    }
+
+    return (
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>People</div>
+            {canInvite ? (
+                <div style={{ display: "flex", gap: 8 }}>
+                    <input
+                        value={invitee}
+                        onChange={(e) => setInvitee(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === "Enter") invite();
+                        }}
+                        placeholder="Invite: @alice:matrix.org"
+                        autoCapitalize="none"
+                        autoCorrect="off"
+                        style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                    />
+                    <Btn onClick={invite} disabled={busy || !invitee.trim()}>
+                        Invite
+                    </Btn>
+                </div>
+            ) : null}
+            <input value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Filter people" style={inputStyle} />
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+            {MEMBER_GROUPS.map((g) => {
+                const list = members.filter((m) => m.membership === g.membership);
+                if (!list.length) return null;
+                return (
+                    <div key={g.membership} style={{ display: "grid", gap: 2 }}>
+                        <div style={{ fontSize: 12, color: "#888", fontWeight: 700 }}>
+                            {g.label} · {list.length}
+                        </div>
+                        {list.map((m) => (
+                            <MemberRow
+                                key={m.userId}
+                                client={client}
+                                room={room}
+                                member={m}
+                                myUserId={myUserId}
+                                open={openId === m.userId}
+                                busy={busy}
+                                onToggle={() => setOpenId(openId === m.userId ? null : m.userId)}
+                                onAction={(action) => moderate(action, m)}
+                            />
+                        ))}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+function MemberRow({ client, room, member, myUserId, open, busy, onToggle, onAction }) {
+    const user = client.getUser(member.userId);
+    const presence = presenceLabel(user);
+    const role = powerLevelLabel(member.powerLevel);
+    const can = memberPermissions(room, myUserId, member);
+    const isMe = member.userId === myUserId;
+
+    return (
+        <div style={{ borderRadius: 12, background: open ? "#f6f6f6" : "transparent" }}>
+            <div onClick={onToggle} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 8px", cursor: "pointer" }}>
+                <div style={{ position: "relative", flexShrink: 0 }}>
+                    <div
+                        style={{
+                            width: 36,
+                            height: 36,
+                            borderRadius: 12,
+                            overflow: "hidden",
+                            background: "#e6e6e6",
+                            display: "grid",
+                            placeItems: "center",
+                            fontWeight: 800,
+                            color: "#555",
+                        }}
+                    >
+                        <MxcImage
+                            client={client}
+                            mxc={member.getMxcAvatarUrl()}
+                            alt=""
+                            width={36}
+                            height={36}
+                            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                            fallback={(member.name || member.userId).replace(/^@/, "").slice(0, 1).toUpperCase()}
+                        />
+                    </div>
+                    <PresenceDot
+                        user={user}
+                        size={11}
+                        style={{ position: "absolute", right: -2, bottom: -2, border: "2px solid #fff" }}
+                    />
+                </div>
+                <div style={{ minWidth: 0, flex: 1 }}>
+                    <div style={{ fontWeight: 700, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {member.name || member.userId}
+                        {isMe ? <span style={{ color: "#888", fontWeight: 400 }}> (you)</span> : null}
+                    </div>
+                    <div style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                        {[member.userId, presence].filter(Boolean).join(" · ")}
+                    </div>
+                </div>
+                {role ? (
+                    <span style={{ fontSize: 11, fontWeight: 800, color: member.powerLevel >= 100 ? "#b26a00" : "#555" }}>{role}</span>
+                ) : null}
+            </div>
+
+            {open && !isMe ? (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap", padding: "0 8px 8px 54px" }}>
+                    {member.membership === "join" ? (
+                        <>
+                            <Btn subtle onClick={() => onAction("kick")} disabled={busy || !can.kick}>
+                                Remove
+                            </Btn>
+                            <Btn subtle onClick={() => onAction("ban")} disabled={busy || !can.ban}>
+                                Ban
+                            </Btn>
+                        </>
+                    ) : member.membership === "invite" ? (
+                        <>
+                            <Btn subtle onClick={() => onAction("uninvite")} disabled={busy || !can.kick}>
+                                Cancel invite
+                            </Btn>
+                            <Btn subtle onClick={() => onAction("ban")} disabled={busy || !can.ban}>
+                                Ban
+                            </Btn>
+                        </>
+                    ) : (
+                        <Btn subtle onClick={() => onAction("unban")} disabled={busy || !can.ban}>
+                            Unban
+                        </Btn>
+                    )}
+                    {member.membership === "ban" && member.events.member?.getContent()?.reason ? (
+                        <div style={{ fontSize: 12, color: "#666", alignSelf: "center" }}>
+                            Reason: {member.events.member.getContent().reason}
+                        </div>
+                    ) : null}
+                </div>
+            ) : null}
+        </div>
+    );
+}
+
+// forget = leave + убрать комнату из списка на сервере (история больше не нужна)
+function RoomLeaveSection({ client, room, roomName, onLeft }) {
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    async function leave(forget) {
+        const question = forget
+            ? `Leave and forget "${roomName || room.roomId}"? It will disappear from your room list.`
+            : `Leave "${roomName || room.roomId}"?`;
+        if (!confirm(question)) return;
+        setErr("");
+        setBusy(true);
+        try {
+            await client.leave(room.roomId);
+            if (forget) await client.forget(room.roomId, true);
+            onLeft?.(room.roomId);
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                <Btn subtle onClick={() => leave(false)} disabled={busy}>
+                    Leave room
+                </Btn>
+                <Btn subtle onClick={() => leave(true)} disabled={busy}>
+                    Leave & forget
+                </Btn>
+            </div>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
+    );
+}
+
+// Профиль: имя и аватар глобальные (сервер разносит их по m.room.member во всех комнатах), плюс presence и статус
+function ProfileDialog({ client, myUserId, onClose }) {
+    const [profile, setProfile] = useState(null);
+    const [name, setName] = useState("");
+    const [presence, setPresence] = useState("online");
+    const [statusMsg, setStatusMsg] = useState("");
+    const [cropFile, setCropFile] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+    const fileRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        client
+            .getProfileInfo(myUserId)
+            .then((p) => {
+                if (cancelled) return;
+                setProfile(p);
+                setName(p.displayname || "");
+            })
+            .catch((e) => {
+                if (cancelled) return;
+                setProfile({});
+                setErr(String(e?.message || e));
+            });
+        // presence на сервере может быть выключен — тогда остаёмся на online по умолчанию
+        client
+            .getPresence(myUserId)
+            .then((p) => {
+                if (cancelled) return;
+                setPresence(p.presence === "unavailable" ? "unavailable" : "online");
+                setStatusMsg(p.status_msg || "");
+            })
+            .catch((e) => console.warn("Presence unavailable:", e));
+        return () => {
+            cancelled = true;
+        };
+    }, [client, myUserId]);
+
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+            return true;
+        } catch (e) {
+            setErr(String(e?.message || e));
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function saveName() {
+        const displayname = name.trim();
+        return run(async () => {
+            await client.setDisplayName(displayname);
+            setProfile((p) => ({ ...p, displayname }));
+        });
+    }
+
+    async function saveAvatar(blob) {
+        const ok = await run(async () => {
+            const res = await client.uploadContent(blob, { name: "avatar.jpg", type: blob.type });
+            await client.setAvatarUrl(res.content_uri);
+            setProfile((p) => ({ ...p, avatar_url: res.content_uri }));
+        });
+        if (ok) setCropFile(null);
+    }
+
+    function removeAvatar() {
+        return run(async () => {
+            await client.setAvatarUrl("");
+            setProfile((p) => ({ ...p, avatar_url: undefined }));
+        });
+    }
+
+    // setSyncPresence + session.presence: иначе следующий /sync (и перезапуск) вернёт online
+    function savePresence() {
+        return run(async () => {
+            await client.setPresence({ presence, status_msg: statusMsg.trim() });
+            client.setSyncPresence(presence);
+            updateSession(myUserId, { presence });
+        });
+    }
+
+    const nameChanged = !!profile && name.trim() !== (profile.displayname || "");
+
+    return (
+        <Modal
+            title="Profile"
+            onClose={() => {
+                if (!busy) onClose();
+            }}
+        >
+            {cropFile ? (
+                <AvatarCropper file={cropFile} busy={busy} onCrop={saveAvatar} onCancel={() => setCropFile(null)} />
+            ) : (
+                <div style={{ display: "grid", gap: 10, fontSize: 14 }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+                        <div
+                            style={{
+                                width: 72,
+                                height: 72,
+                                borderRadius: "50%",
+                                overflow: "hidden",
+                                background: "#f2f2f2",
+                                display: "grid",
+                                placeItems: "center",
+                                fontWeight: 900,
+                                fontSize: 28,
+                                flexShrink: 0,
+                            }}
+                        >
+                            <MxcImage
+                                client={client}
+                                mxc={profile?.avatar_url}
+                                alt=""
+                                width={128}
+                                height={128}
+                                style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                                fallback={(profile?.displayname || myUserId || "?").replace(/^@/, "").slice(0, 1).toUpperCase()}
+                            />
+                        </div>
+                        <div style={{ display: "grid", gap: 6 }}>
+                            <div style={{ fontSize: 12, color: "#666", wordBreak: "break-all" }}>{myUserId}</div>
+                            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                                <Btn subtle onClick={() => fileRef.current?.click()} disabled={busy || !profile}>
+                                    Change avatar
+                                </Btn>
+                                {profile?.avatar_url ? (
+                                    <Btn subtle onClick={removeAvatar} disabled={busy}>
+                                        Remove
+                                    </Btn>
+                                ) : null}
+                            </div>
+                        </div>
+                        <input
+                            ref={fileRef}
+                            type="file"
+                            accept="image/*"
+                            onChange={(e) => {
+                                const file = e.target.files?.[0];
+                                e.target.value = "";
+                                if (file) setCropFile(file);
+                            }}
+                            style={{ display: "none" }}
+                        />
+                    </div>
+
+                    <div style={{ fontWeight: 700 }}>Display name</div>
+                    <div style={{ display: "flex", gap: 8 }}>
+                        <input
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder={myUserId}
+                            disabled={!profile}
+                            style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                        />
+                        <Btn onClick={saveName} disabled={busy || !nameChanged}>
+                            Save
+                        </Btn>
+                    </div>
+
+                    <div style={{ borderTop: "1px solid #eee" }} />
+                    <div style={{ fontWeight: 700 }}>Status</div>
+                    <div style={{ display: "flex", gap: 16 }}>
+                        {[
+                            { value: "online", label: "Online" },
+                            { value: "unavailable", label: "Away" },
+                        ].map((o) => (
+                            <label key={o.value} style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                                <input
+                                    type="radio"
+                                    name="presence"
+                                    checked={presence === o.value}
+                                    disabled={busy}
+                                    onChange={() => setPresence(o.value)}
+                                />
+                                <span
+                                    style={{ width: 9, height: 9, borderRadius: "50%", background: PRESENCE_COLORS[o.value] }}
+                                />
+                                {o.label}
+                            </label>
+                        ))}
+                    </div>
+                    <input
+                        value={statusMsg}
+                        onChange={(e) => setStatusMsg(e.target.value)}
+                        placeholder="Status message (optional)"
+                        maxLength={200}
+                        style={inputStyle}
+                    />
+                    <div>
+                        <Btn onClick={savePresence} disabled={busy}>
+                            {busy ? "Saving..." : "Set status"}
+                        </Btn>
+                    </div>
+                    <div style={{ color: "#666", fontSize: 13 }}>
+                        Статус видят собеседники, если на сервере включён presence.
+                    </div>
+                    {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+                </div>
+            )}
+        </Modal>
+    );
+}
+
+// Квадратный кроп: картинку тянем мышью/пальцем, масштаб — слайдером; на выходе AVATAR_SIZE×AVATAR_SIZE JPEG
+function AvatarCropper({ file, busy, onCrop, onCancel }) {
+    const [img, setImg] = useState(null);
+    const [failed, setFailed] = useState(false);
+    const [zoom, setZoom] = useState(1);
+    const [offset, setOffset] = useState({ x: 0, y: 0 });
+    const dragRef = useRef(null);
+
+    useEffect(() => {
+        const url = URL.createObjectURL(file);
+        const el = new Image();
+        el.onload = () => setImg(el);
+        el.onerror = () => setFailed(true);
+        el.src = url;
+        return () => URL.revokeObjectURL(url);
+    }, [file]);
+
+    const baseScale = img ? AVATAR_CROP_VIEW / Math.min(img.naturalWidth, img.naturalHeight) : 1;
+    const scale = baseScale * zoom;
+    const width = img ? img.naturalWidth * scale : 0;
+    const height = img ? img.naturalHeight * scale : 0;
+    const left = (AVATAR_CROP_VIEW - width) / 2 + offset.x;
+    const top = (AVATAR_CROP_VIEW - height) / 2 + offset.y;
+
+    // картинка всегда закрывает рамку целиком
+    function clamp(o, s = scale) {
+        const maxX = (img.naturalWidth * s - AVATAR_CROP_VIEW) / 2;
+        const maxY = (img.naturalHeight * s - AVATAR_CROP_VIEW) / 2;
+        return { x: Math.max(-maxX, Math.min(maxX, o.x)), y: Math.max(-maxY, Math.min(maxY, o.y)) };
+    }
+
+    async function crop() {
+        const canvas = document.createElement("canvas");
+        canvas.width = AVATAR_SIZE;
+        canvas.height = AVATAR_SIZE;
+        const ctx = canvas.getContext("2d");
+        // прозрачный PNG -> JPEG: без фона был бы чёрный
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+        ctx.drawImage(img, -left / scale, -top / scale, AVATAR_CROP_VIEW / scale, AVATAR_CROP_VIEW / scale, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+        onCrop(await canvasToBlob(canvas, "image/jpeg", 0.9));
+    }
+
+    if (failed) {
+        return (
+            <div style={{ display: "grid", gap: 10 }}>
+                <div style={{ color: "crimson" }}>Can't read this image.</div>
+                <div>
+                    <Btn subtle onClick={onCancel}>
+                        Back
+                    </Btn>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div style={{ display: "grid", gap: 12, justifyItems: "center" }}>
+            <div
+                onPointerDown={(e) => {
+                    if (!img) return;
+                    e.currentTarget.setPointerCapture(e.pointerId);
+                    dragRef.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+                }}
+                onPointerMove={(e) => {
+                    if (!dragRef.current) return;
+                    setOffset(clamp({ x: e.clientX - dragRef.current.x, y: e.clientY - dragRef.current.y }));
+                }}
+                onPointerUp={() => {
+                    dragRef.current = null;
+                }}
+                style={{
+                    position: "relative",
+                    width: AVATAR_CROP_VIEW,
+                    height: AVATAR_CROP_VIEW,
+                    borderRadius: "50%",
+                    overflow: "hidden",
+                    background: "#f2f2f2",
+                    cursor: img ? "grab" : "default",
+                    touchAction: "none",
+                    userSelect: "none",
+                }}
+            >
+                {img ? (
+                    <img
+                        src={img.src}
+                        alt=""
+                        draggable={false}
+                        style={{ position: "absolute", left, top, width, height, maxWidth: "none", pointerEvents: "none" }}
+                    />
+                ) : (
+                    <div style={{ height: "100%", display: "grid", placeItems: "center", color: "#888" }}>Loading…</div>
+                )}
+            </div>
+            <input
+                type="range"
+                min={1}
+                max={4}
+                step={0.01}
+                value={zoom}
+                disabled={!img || busy}
+                onChange={(e) => {
+                    const next = Number(e.target.value);
+                    setZoom(next);
+                    setOffset((o) => clamp(o, baseScale * next));
+                }}
+                style={{ width: AVATAR_CROP_VIEW }}
+            />
+            <div style={{ display: "flex", gap: 8 }}>
+                <Btn subtle onClick={onCancel} disabled={busy}>
+                    Cancel
+                </Btn>
+                <Btn onClick={crop} disabled={!img || busy}>
+                    {busy ? "Uploading..." : "Set avatar"}
+                </Btn>
+            </div>
+        </div>
+    );
+}
+
+// Группа: имя, тема, участники, E2E, public (в каталоге + alias) или private (только по приглашению)
+function CreateGroupDialog({ client, myUserId, onDone, onClose }) {
+    const [name, setName] = useState("");
+    const [topic, setTopic] = useState("");
+    const [members, setMembers] = useState("");
+    const [encrypted, setEncrypted] = useState(true);
+    const [isPublic, setIsPublic] = useState(false);
+    const [alias, setAlias] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const myServer = (myUserId || "").split(":")[1] || "";
+
+    async function create() {
+        setErr("");
+        setBusy(true);
+        try {
+            const invite = members
+                .split(/[\s,]+/)
+                .map((m) => normalizeMxId(m, myUserId))
+                .filter((m) => m && m !== myUserId);
+            const res = await client.createRoom({
+                name: name.trim(),
+                topic: topic.trim() || undefined,
+                invite,
+                preset: isPublic ? "public_chat" : "private_chat",
+                visibility: isPublic ? "public" : "private",
+                room_alias_name: isPublic && alias.trim() ? alias.trim().replace(/^#/, "").split(":")[0] : undefined,
+                initial_state: encrypted
+                    ? [{ type: "m.room.encryption", state_key: "", content: { algorithm: "m.megolm.v1.aes-sha2" } }]
+                    : [],
+            });
+            onDone(res.room_id);
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <Modal
+            title="New group"
+            onClose={() => {
+                if (!busy) onClose();
+            }}
+        >
+            <div style={{ display: "grid", gap: 10 }}>
+                <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Group name" style={inputStyle} />
+                <input value={topic} onChange={(e) => setTopic(e.target.value)} placeholder="Topic (optional)" style={inputStyle} />
+                <input
+                    value={members}
+                    onChange={(e) => setMembers(e.target.value)}
+                    placeholder="Invite: @alice:matrix.org, bob"
+                    autoCapitalize="none"
+                    autoCorrect="off"
+                    style={inputStyle}
+                />
+
+                <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, cursor: "pointer" }}>
+                    <input type="checkbox" checked={encrypted} onChange={(e) => setEncrypted(e.target.checked)} />
+                    End-to-end encryption
+                </label>
+                <div style={{ color: "#666", fontSize: 13, marginTop: -6 }}>Выключить потом нельзя.</div>
+
+                <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 14, cursor: "pointer" }}>
+                    <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+                    Public — anyone can find and join
+                </label>
+                {isPublic ? (
+                    <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                        <span style={{ fontWeight: 700 }}>#</span>
+                        <input
+                            value={alias}
+                            onChange={(e) => setAlias(e.target.value)}
+                            placeholder="address"
+                            autoCapitalize="none"
+                            autoCorrect="off"
+                            style={{ ...inputStyle, flex: 1 }}
                         />
+                        <span style={{ color: "#666", fontSize: 13 }}>:{myServer}</span>
                     </div>
-                ) : (
-                    <ChatView
-                        myUserId={myUserId}
-                        room={activeRoom}
-                        events={events}
-                        typingUsers={typingUsers}
-                        message={message}
-                        setMessage={onComposerChange}
-                        onSend={send}
-                        onBack={() => setActiveRoomId(null)}
-                        client={client}
-                        senderDisplayName={senderDisplayName}
+                ) : null}
+                {isPublic && encrypted ? (
+                    <div style={{ color: "#a15c00", fontSize: 13 }}>
+                        В публичной E2E-комнате новые участники не увидят историю до входа, а шифрование больших комнат тяжелее.
+                    </div>
+                ) : null}
+
+                {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                    <Btn subtle onClick={onClose} disabled={busy}>
+                        Cancel
+                    </Btn>
+                    <Btn onClick={create} disabled={busy || !name.trim() || (isPublic && !alias.trim())}>
+                        {busy ? "Creating..." : "Create"}
+                    </Btn>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+function JoinRoomDialog({ client, onDone, onClose }) {
+    const [input, setInput] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const link = parseRoomLink(input);
+
+    async function join() {
+        setErr("");
+        setBusy(true);
+        try {
+            const room = await client.joinRoom(link.roomIdOrAlias, { viaServers: link.viaServers });
+            onDone(room.roomId);
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <Modal
+            title="Join room"
+            onClose={() => {
+                if (!busy) onClose();
+            }}
+        >
+            <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
+                Адрес <code>#room:server</code>, ID <code>!id:server</code> или ссылка <code>https://matrix.to/#/…</code>
+            </div>
+            <input
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === "Enter" && link && !busy) join();
+                }}
+                placeholder="#room:matrix.org"
+                autoCapitalize="none"
+                autoCorrect="off"
+                style={inputStyle}
+            />
+            {input.trim() && !link ? <div style={{ color: "#a15c00", fontSize: 13, marginTop: 6 }}>Not a room address or link</div> : null}
+            {err ? <div style={{ color: "crimson", marginTop: 10 }}>{err}</div> : null}
+            <div style={{ height: 12 }} />
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                <Btn subtle onClick={onClose} disabled={busy}>
+                    Cancel
+                </Btn>
+                <Btn onClick={join} disabled={busy || !link}>
+                    {busy ? "Joining..." : "Join"}
+                </Btn>
+            </div>
+        </Modal>
+    );
+}
+
+// Каталог публичных комнат (/publicRooms) любого сервера; превью — детали + последние сообщения, если world_readable
+function RoomDirectoryDialog({ client, myUserId, onDone, onClose }) {
+    const myServer = (myUserId || "").split(":")[1] || "";
+    const [server, setServer] = useState(myServer);
+    const [query, setQuery] = useState("");
+    // результаты для конкретного запроса { key, rooms, nextBatch }
+    const [result, setResult] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [err, setErr] = useState("");
+    const [preview, setPreview] = useState(null);
+
+    const key = `${server.trim()}|${query.trim()}`;
+    const rooms = result?.key === key ? result.rooms : null;
+
+    const fetchPage = useCallback(
+        (since) => {
+            const q = query.trim();
+            return client.publicRooms({
+                server: server.trim() && server.trim() !== myServer ? server.trim() : undefined,
+                limit: 20,
+                since,
+                filter: q ? { generic_search_term: q } : undefined,
+            });
+        },
+        [client, server, query, myServer]
+    );
+
+    // поиск с debounce: сервер/запрос меняются на каждую букву
+    useEffect(() => {
+        let cancelled = false;
+        const t = setTimeout(() => {
+            fetchPage(undefined)
+                .then((res) => {
+                    if (!cancelled) setResult({ key, rooms: res.chunk || [], nextBatch: res.next_batch || null });
+                })
+                .catch((e) => {
+                    if (!cancelled) setResult({ key, rooms: [], nextBatch: null, error: String(e?.message || e) });
+                });
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(t);
+        };
+    }, [fetchPage, key]);
+
+    async function loadMore() {
+        if (!result?.nextBatch || loadingMore) return;
+        setLoadingMore(true);
+        try {
+            const res = await fetchPage(result.nextBatch);
+            setResult((r) => (r?.key === key ? { ...r, rooms: r.rooms.concat(res.chunk || []), nextBatch: res.next_batch || null } : r));
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setLoadingMore(false);
+        }
+    }
+
+    if (preview) {
+        return (
+            <RoomPreview
+                client={client}
+                room={preview}
+                via={server.trim() || myServer}
+                onBack={() => setPreview(null)}
+                onDone={onDone}
+                onClose={onClose}
+            />
+        );
+    }
+
+    return (
+        <Modal title="Browse rooms" onClose={onClose}>
+            <div style={{ display: "grid", gap: 10 }}>
+                <div style={{ display: "flex", gap: 8 }}>
+                    <input
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="Search rooms"
+                        style={{ ...inputStyle, flex: 2 }}
                     />
+                    <input
+                        value={server}
+                        onChange={(e) => setServer(e.target.value)}
+                        placeholder="Server"
+                        list="room-directory-servers"
+                        autoCapitalize="none"
+                        autoCorrect="off"
+                        style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <datalist id="room-directory-servers">
+                        {[myServer, "matrix.org"].filter(Boolean).map((s) => (
+                            <option key={s} value={s} />
+                        ))}
+                    </datalist>
+                </div>
+
+                {result?.key === key && result.error ? <div style={{ color: "crimson" }}>{result.error}</div> : null}
+                {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+                {!rooms ? (
+                    <div style={{ color: "#666", fontSize: 13 }}>Searching…</div>
+                ) : !rooms.length ? (
+                    <div style={{ color: "#666", fontSize: 13 }}>No public rooms found.</div>
+                ) : (
+                    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                        {rooms.map((r) => (
+                            <DirectoryRoomRow key={r.room_id} client={client} room={r} onClick={() => setPreview(r)} />
+                        ))}
+                        {result.nextBatch ? (
+                            <Btn subtle onClick={loadMore} disabled={loadingMore}>
+                                {loadingMore ? "Loading..." : "Load more"}
+                            </Btn>
+                        ) : null}
+                    </div>
                 )}
+            </div>
+        </Modal>
+    );
+}
 
-                {newChatOpen ? (
-                    <Modal
-                        title="New chat (E2E DM)"
-                        onClose={() => {
-                            if (!newChatBusy) setNewChatOpen(false);
+function DirectoryRoomRow({ client, room, onClick }) {
+    const title = room.name || room.canonical_alias || room.room_id;
+    return (
+        <div
+            onClick={onClick}
+            style={{ display: "flex", gap: 10, padding: 8, borderRadius: 12, border: "1px solid #eee", cursor: "pointer" }}
+        >
+            <div
+                style={{
+                    width: 40,
+                    height: 40,
+                    borderRadius: 12,
+                    overflow: "hidden",
+                    background: "#f3f3f3",
+                    display: "grid",
+                    placeItems: "center",
+                    flex: "0 0 auto",
+                    fontWeight: 900,
+                }}
+            >
+                <MxcImage
+                    client={client}
+                    mxc={room.avatar_url}
+                    alt=""
+                    width={64}
+                    height={64}
+                    style={{ width: "100%", height: "100%", objectFit: "cover" }}
+                    fallback={title.replace(/^[#!]/, "").slice(0, 1).toUpperCase()}
+                />
+            </div>
+            <div style={{ minWidth: 0, flex: 1 }}>
+                <div style={{ fontWeight: 800, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{title}</div>
+                <div style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                    {room.num_joined_members} members{room.canonical_alias && room.name ? ` · ${room.canonical_alias}` : ""}
+                    {room.topic ? ` · ${room.topic}` : ""}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function RoomPreview({ client, room, via, onBack, onDone, onClose }) {
+    // null — грузим; [] — превью недоступно (не world_readable или сервер не в комнате)
+    const [messages, setMessages] = useState(room.world_readable ? null : []);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        if (!room.world_readable) return;
+        let cancelled = false;
+        client
+            .createMessagesRequest(room.room_id, null, 10, sdk.Direction.Backward)
+            .then((res) => {
+                if (cancelled) return;
+                const msgs = (res.chunk || []).filter((e) => e.type === "m.room.message" && e.content?.body).reverse();
+                setMessages(msgs);
+            })
+            .catch(() => {
+                if (!cancelled) setMessages([]);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [client, room.room_id, room.world_readable]);
+
+    async function join() {
+        setErr("");
+        setBusy(true);
+        try {
+            const joined = await client.joinRoom(room.canonical_alias || room.room_id, { viaServers: via ? [via] : [] });
+            onDone(joined.roomId);
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <Modal
+            title={room.name || room.canonical_alias || "Room"}
+            onClose={() => {
+                if (!busy) onClose();
+            }}
+        >
+            <div style={{ display: "grid", gap: 10, fontSize: 14 }}>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    {room.canonical_alias || room.room_id} · {room.num_joined_members} members
+                    {room.join_rule === "knock" ? " · knock to join" : ""}
+                </div>
+                {room.topic ? <div style={{ whiteSpace: "pre-wrap" }}>{room.topic}</div> : null}
+
+                <div style={{ borderTop: "1px solid #eee" }} />
+                {messages === null ? (
+                    <div style={{ color: "#666", fontSize: 13 }}>Loading preview…</div>
+                ) : messages.length ? (
+                    <div style={{ display: "grid", gap: 6, maxHeight: 240, overflow: "auto", fontSize: 13 }}>
+                        {messages.map((m) => (
+                            <div key={m.event_id}>
+                                <span style={{ fontWeight: 700 }}>{truncateMiddle(m.sender, 24)}: </span>
+                                {safeText(m.content.body).slice(0, 300)}
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <div style={{ color: "#666", fontSize: 13 }}>Превью недоступно — история видна только участникам.</div>
+                )}
+
+                {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                    <Btn subtle onClick={onBack} disabled={busy}>
+                        Back
+                    </Btn>
+                    <Btn onClick={join} disabled={busy}>
+                        {busy ? "Joining..." : "Join"}
+                    </Btn>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+function Modal({ title, children, onClose }) {
+    return (
+        <div
+            onMouseDown={onClose}
+            style={{
+                position: "fixed",
+                inset: 0,
+                background: "rgba(0,0,0,0.35)",
+                display: "grid",
+                placeItems: "center",
+                padding: 12,
+                zIndex: 1000,
+            }}
+        >
+            <div
+                onMouseDown={(e) => e.stopPropagation()}
+                style={{
+                    width: "min(520px, 100%)",
+                    maxHeight: "calc(100vh - 24px)",
+                    overflow: "auto",
+                    background: "#fff",
+                    borderRadius: 18,
+                    border: "1px solid #eee",
+                    padding: 14,
+                    boxShadow: "0 10px 30px rgba(0,0,0,0.18)",
+                }}
+            >
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+                    <div style={{ fontWeight: 900 }}>{title}</div>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            width: 40,
+                            height: 40,
+                            borderRadius: 12,
+                            border: "1px solid #eee",
+                            background: "#fff",
+                            cursor: "pointer",
+                            fontSize: 18,
                         }}
                     >
-                        <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
-                            Введи Matrix ID (например <code>@user:matrix.org</code>) или просто ник (подставится твой сервер).
-                            <br />
-                            Этот DM будет создан <b>с E2E</b>.
-                        </div>
+                        ×
+                    </button>
+                </div>
+                <div style={{ height: 12 }} />
+                {children}
+            </div>
+        </div>
+    );
+}
+
+// Как Modal, но панель справа на всю высоту (на телефоне — на весь экран)
+function Drawer({ title, children, onClose }) {
+    return (
+        <div
+            onMouseDown={onClose}
+            style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.35)", display: "flex", justifyContent: "flex-end", zIndex: 1000 }}
+        >
+            <div
+                onMouseDown={(e) => e.stopPropagation()}
+                style={{
+                    width: "min(420px, 100%)",
+                    height: "100%",
+                    overflow: "auto",
+                    background: "#fff",
+                    borderLeft: "1px solid #eee",
+                    padding: 14,
+                    boxSizing: "border-box",
+                    boxShadow: "0 10px 30px rgba(0,0,0,0.18)",
+                }}
+            >
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+                    <div style={{ fontWeight: 900 }}>{title}</div>
+                    <button
+                        onClick={onClose}
+                        style={{
+                            width: 40,
+                            height: 40,
+                            borderRadius: 12,
+                            border: "1px solid #eee",
+                            background: "#fff",
+                            cursor: "pointer",
+                            fontSize: 18,
+                        }}
+                    >
+                        ×
+                    </button>
+                </div>
+                <div style={{ height: 12 }} />
+                {children}
+            </div>
+        </div>
+    );
+}
+
+// -------------------- E2E: verification & trust --------------------
+const shieldStyle = {
+    fontSize: 11,
+    fontWeight: 800,
+    padding: "2px 6px",
+    borderRadius: 8,
+    border: "1px solid",
+    background: "#fff",
+    whiteSpace: "nowrap",
+};
+
+// Room header shield: все участники E2E-комнаты верифицированы или нет
+function RoomShield({ client, room, myUserId, trustVersion, onVerifyUser }) {
+    const [unverified, setUnverified] = useState(null);
+
+    const encrypted = !!room?.hasEncryptionStateEvent?.();
+    const others = (room?.getJoinedMembers?.() || []).map((m) => m.userId).filter((u) => u !== myUserId);
+    // строка, а не массив: перепроверяем при смене состава и при trustVersion, а не на каждый рендер
+    const othersKey = others.join("\n");
+
+    useEffect(() => {
+        const crypto = client?.getCrypto?.();
+        if (!crypto || !encrypted) return;
+        const ids = othersKey ? othersKey.split("\n") : [];
+        let cancelled = false;
+        Promise.all(ids.map((u) => crypto.getUserVerificationStatus(u)))
+            .then((statuses) => {
+                if (!cancelled) setUnverified(ids.filter((u, i) => !statuses[i].isVerified()));
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+        };
+    }, [client, encrypted, othersKey, trustVersion]);
+
+    if (!encrypted || !unverified) return null;
+
+    const verified = unverified.length === 0;
+    // верифицировать из заголовка можно только собеседника в DM
+    const target = others.length === 1 && !verified ? others[0] : null;
+
+    return (
+        <button
+            onClick={target ? () => onVerifyUser?.(target, room.roomId) : undefined}
+            title={verified ? "All members are verified" : `Not verified: ${unverified.join(", ")}`}
+            style={{
+                ...shieldStyle,
+                color: verified ? "#0a7d32" : "#777",
+                borderColor: verified ? "#0a7d32" : "#ccc",
+                cursor: target ? "pointer" : "default",
+            }}
+        >
+            {verified ? "🛡 Verified" : target ? "🛡 Verify" : "🛡 Unverified"}
+        </button>
+    );
+}
+
+// Sender shield: показываем только если с событием что-то не так (как в Element)
+function EventShield({ client, event, trustVersion }) {
+    const [info, setInfo] = useState(null);
+    const type = event.getType?.();
+
+    useEffect(() => {
+        const crypto = client?.getCrypto?.();
+        if (!crypto || !event.isEncrypted?.()) return;
+        let cancelled = false;
+        crypto
+            .getEncryptionInfoForEvent(event)
+            .then((res) => {
+                if (!cancelled) setInfo(res);
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+        };
+    }, [client, event, type, trustVersion]);
+
+    if (!info || info.shieldColour === EventShieldColour.NONE) return null;
+    const red = info.shieldColour === EventShieldColour.RED;
+
+    return (
+        <span
+            title={shieldReasonText(info.shieldReason)}
+            style={{ ...shieldStyle, marginLeft: 6, color: red ? "crimson" : "#777", borderColor: red ? "crimson" : "#ccc" }}
+        >
+            {red ? "⚠ Unverified" : "🛡 Unverified"}
+        </span>
+    );
+}
+
+function SecurityPanel({ client, myUserId, trustVersion, onVerifySession }) {
+    const [status, setStatus] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [password, setPassword] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
 
-                        <input
-                            value={newChatInput}
-                            onChange={(e) => setNewChatInput(e.target.value)}
-                            placeholder="@user:matrix.org"
-                            autoCapitalize="none"
-                            autoCorrect="off"
-                            style={inputStyle}
-                        />
+    const crypto = client?.getCrypto?.();
 
-                        <div style={{ height: 12 }} />
-                        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
-                            <Btn
-                                subtle
-                                onClick={() => {
-                                    if (!newChatBusy) setNewChatOpen(false);
-                                }}
-                            >
-                                Cancel
-                            </Btn>
-                            <Btn onClick={startDM} disabled={newChatBusy || !newChatInput.trim()}>
-                                {newChatBusy ? "Creating..." : "Create"}
-                            </Btn>
-                        </div>
-                    </Modal>
-                ) : null}
-            </div>
-        );
+    useEffect(() => {
+        if (!crypto) return;
+        let cancelled = false;
+        (async () => {
+            const [crossSigningReady, hasKeys, device] = await Promise.all([
+                crypto.isCrossSigningReady(),
+                crypto.userHasCrossSigningKeys(myUserId, true),
+                crypto.getDeviceVerificationStatus(myUserId, client.getDeviceId()),
+            ]);
+            if (!cancelled) {
+                setStatus({ crossSigningReady, hasKeys, deviceVerified: !!device?.crossSigningVerified });
+            }
+        })().catch((e) => {
+            if (!cancelled) setErr(String(e?.message || e));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [client, crypto, myUserId, trustVersion, refreshKey]);
+
+    async function setupCrossSigning() {
+        setErr("");
+        setBusy(true);
+        try {
+            await crypto.bootstrapCrossSigning({
+                authUploadDeviceSigningKeys: passwordAuth(myUserId, password),
+            });
+            setPassword("");
+            setRefreshKey((k) => k + 1);
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (!crypto) {
+        return <div style={{ color: "#666" }}>Encryption is not available in this session.</div>;
+    }
+    if (!status) {
+        return err ? <div style={{ color: "crimson" }}>{err}</div> : <div style={{ color: "#666" }}>Loading…</div>;
     }
 
-    // Desktop
     return (
-        <div style={{ ...shellStyle, display: "flex" }}>
-            <aside style={sidebarStyle}>
-                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
-                    <div style={{ fontWeight: 800, letterSpacing: 0.2 }}>HappyChat</div>
-                    <div style={{ display: "flex", gap: 8 }}>
-                        <Btn onClick={() => setNewChatOpen(true)}>New</Btn>
-                        <Btn onClick={logout} subtle>
-                            Logout
-                        </Btn>
-                    </div>
+        <div style={{ display: "grid", gap: 10, fontSize: 14 }}>
+            <div>
+                <div style={{ fontWeight: 700 }}>This session</div>
+                <div style={{ color: status.deviceVerified ? "#0a7d32" : "#666" }}>
+                    {client.getDeviceId()} — {status.deviceVerified ? "verified" : "not verified"}
                 </div>
+            </div>
 
-                <div style={{ height: 12 }} />
-                <SearchBox value={query} onChange={setQuery} />
-
-                <div style={{ height: 12 }} />
-                <div style={{ overflow: "auto", height: "calc(100vh - 120px)" }}>
-                    <RoomList
-                        rooms={filteredRooms}
-                        activeRoomId={activeRoomId}
-                        onOpen={(id) => setActiveRoomId(id)}
-                        roomAvatarUrl={roomAvatarUrl}
-                        senderDisplayName={senderDisplayName}
-                        emptyHint="Пока нет чатов. Нажми New."
-                        myUserId={myUserId}
-                    />
+            <div>
+                <div style={{ fontWeight: 700 }}>Cross-signing</div>
+                <div style={{ color: status.crossSigningReady ? "#0a7d32" : "#666" }}>
+                    {status.crossSigningReady ? "Ready" : status.hasKeys ? "Set up on another session" : "Not set up"}
                 </div>
-            </aside>
-
-            <main style={{ flex: 1, minWidth: 0 }}>
-                {activeRoom ? (
-                    <ChatView
-                        myUserId={myUserId}
-                        room={activeRoom}
-                        events={events}
-                        typingUsers={typingUsers}
-                        message={message}
-                        setMessage={onComposerChange}
-                        onSend={send}
-                        client={client}
-                        senderDisplayName={senderDisplayName}
-                    />
-                ) : (
-                    <div style={{ height: "100vh", display: "grid", placeItems: "center", color: "#666" }}>
-                        Выбери чат слева или нажми New.
-                    </div>
-                )}
-            </main>
+            </div>
 
-            {newChatOpen ? (
-                <Modal
-                    title="New chat (E2E DM)"
-                    onClose={() => {
-                        if (!newChatBusy) setNewChatOpen(false);
-                    }}
-                >
-                    <div style={{ color: "#666", fontSize: 13, marginBottom: 10 }}>
-                        Введи Matrix ID (например <code>@user:matrix.org</code>) или просто ник (подставится твой сервер).
-                        <br />
-                        Этот DM будет создан <b>с E2E</b>.
+            {!status.hasKeys ? (
+                <div>
+                    <div style={{ color: "#666", fontSize: 13, marginBottom: 6 }}>
+                        Создаст ключи cross-signing для аккаунта. Сервер может попросить пароль.
                     </div>
-
                     <input
-                        value={newChatInput}
-                        onChange={(e) => setNewChatInput(e.target.value)}
-                        placeholder="@user:matrix.org"
-                        autoCapitalize="none"
-                        autoCorrect="off"
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Account password"
                         style={inputStyle}
                     />
-
-                    <div style={{ height: 12 }} />
-                    <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
-                        <Btn
-                            subtle
-                            onClick={() => {
-                                if (!newChatBusy) setNewChatOpen(false);
-                            }}
-                        >
-                            Cancel
-                        </Btn>
-                        <Btn onClick={startDM} disabled={newChatBusy || !newChatInput.trim()}>
-                            {newChatBusy ? "Creating..." : "Create"}
-                        </Btn>
+                    <div style={{ height: 8 }} />
+                    <Btn onClick={setupCrossSigning} disabled={busy}>
+                        {busy ? "Setting up..." : "Set up cross-signing"}
+                    </Btn>
+                </div>
+            ) : !status.deviceVerified ? (
+                <div>
+                    <div style={{ color: "#666", fontSize: 13, marginBottom: 6 }}>
+                        Подтверди эту сессию с другого своего устройства (emoji).
                     </div>
-                </Modal>
+                    <Btn onClick={onVerifySession}>Verify this session</Btn>
+                </div>
             ) : null}
+
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+            <div style={{ borderTop: "1px solid #eee" }} />
+            <KeyBackupSection client={client} myUserId={myUserId} trustVersion={trustVersion} />
         </div>
     );
 }
 
-// -------------------- UI components --------------------
-const sidebarStyle = {
-    width: 360,
-    borderRight: "1px solid #eee",
-    padding: 14,
-    boxSizing: "border-box",
-};
+// Server-side key backup: secret storage (4S) + megolm backup
+function KeyBackupSection({ client, myUserId, trustVersion }) {
+    const [status, setStatus] = useState(null);
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [remaining, setRemaining] = useState(0);
 
-const inputStyle = {
-    width: "100%",
-    padding: "12px 12px",
-    borderRadius: 12,
-    border: "1px solid #ddd",
-    outline: "none",
-    fontSize: 14,
-    boxSizing: "border-box",
-};
+    const [passphrase, setPassphrase] = useState("");
+    const [password, setPassword] = useState("");
+    const [recoveryInput, setRecoveryInput] = useState("");
+    const [newRecoveryKey, setNewRecoveryKey] = useState("");
+    const [progress, setProgress] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const crypto = client?.getCrypto?.();
+
+    useEffect(() => {
+        if (!crypto) return;
+        let cancelled = false;
+        (async () => {
+            const [info, activeVersion, secretStorageReady] = await Promise.all([
+                crypto.getKeyBackupInfo(),
+                crypto.getActiveSessionBackupVersion(),
+                crypto.isSecretStorageReady(),
+            ]);
+            if (!cancelled) setStatus({ serverVersion: info?.version || null, activeVersion, secretStorageReady });
+        })().catch((e) => {
+            if (!cancelled) setErr(String(e?.message || e));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [crypto, trustVersion, refreshKey]);
+
+    useEffect(() => {
+        if (!client) return;
+        const onRemaining = (n) => setRemaining(n);
+        const onStatus = () => setRefreshKey((k) => k + 1);
+        client.on(CryptoEvent.KeyBackupSessionsRemaining, onRemaining);
+        client.on(CryptoEvent.KeyBackupStatus, onStatus);
+        return () => {
+            client.removeListener(CryptoEvent.KeyBackupSessionsRemaining, onRemaining);
+            client.removeListener(CryptoEvent.KeyBackupStatus, onStatus);
+        };
+    }, [client]);
+
+    async function setupBackup() {
+        setErr("");
+        setBusy(true);
+        try {
+            const key = await crypto.createRecoveryKeyFromPassphrase(passphrase || undefined);
+            if (!(await crypto.userHasCrossSigningKeys())) {
+                await crypto.bootstrapCrossSigning({
+                    authUploadDeviceSigningKeys: passwordAuth(myUserId, password),
+                });
+            }
+            await crypto.bootstrapSecretStorage({
+                createSecretStorageKey: async () => key,
+                setupNewSecretStorage: true,
+                setupNewKeyBackup: true,
+            });
+            setNewRecoveryKey(key.encodedPrivateKey || "");
+            setPassphrase("");
+            setPassword("");
+            setRefreshKey((k) => k + 1);
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    async function restoreBackup() {
+        setErr("");
+        setProgress("");
+        setBusy(true);
+        try {
+            await unlockSecretStorage(client, recoveryInput);
+
+            // cross-signing ключи из 4S -> эта сессия становится верифицированной
+            try {
+                await crypto.bootstrapCrossSigning({});
+            } catch (e) {
+                console.warn("Cross-signing restore failed:", e);
+            }
+
+            await crypto.loadSessionBackupPrivateKeyFromSecretStorage();
+            await crypto.checkKeyBackupAndEnable();
+            const res = await crypto.restoreKeyBackup({
+                progressCallback: (p) => {
+                    if (p.stage === "load_keys") setProgress(`Restoring keys… ${p.successes + p.failures}/${p.total}`);
+                    else setProgress("Fetching backup…");
+                },
+            });
+            setProgress(`Restored ${res.imported} of ${res.total} keys.`);
+            setRecoveryInput("");
+            setRefreshKey((k) => k + 1);
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (!crypto) return null;
+
+    let content;
+    if (newRecoveryKey) {
+        content = (
+            <>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    Сохрани recovery key в надёжном месте. Без него (или passphrase) историю E2E-чатов на новом устройстве не
+                    восстановить.
+                </div>
+                <code
+                    style={{
+                        display: "block",
+                        padding: 10,
+                        borderRadius: 12,
+                        background: "#f3f3f3",
+                        wordBreak: "break-all",
+                        userSelect: "all",
+                    }}
+                >
+                    {newRecoveryKey}
+                </code>
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                    <Btn subtle onClick={() => navigator.clipboard?.writeText(newRecoveryKey).catch(() => {})}>
+                        Copy
+                    </Btn>
+                    <Btn onClick={() => setNewRecoveryKey("")}>I saved it</Btn>
+                </div>
+            </>
+        );
+    } else if (!status) {
+        content = <div style={{ color: "#666" }}>Loading…</div>;
+    } else if (!status.serverVersion) {
+        content = (
+            <>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    Не настроен. Ключи E2E-чатов хранятся только на этом устройстве.
+                </div>
+                <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Passphrase (optional)"
+                    style={inputStyle}
+                />
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Account password (if the server asks)"
+                    style={inputStyle}
+                />
+                <div>
+                    <Btn onClick={setupBackup} disabled={busy}>
+                        {busy ? "Setting up..." : "Set up secure backup"}
+                    </Btn>
+                </div>
+            </>
+        );
+    } else if (!status.activeVersion) {
+        content = (
+            <>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    На сервере есть бэкап (version {status.serverVersion}), но эта сессия его не использует. Введи recovery
+                    key или passphrase, чтобы восстановить историю.
+                </div>
+                <input
+                    type="password"
+                    value={recoveryInput}
+                    onChange={(e) => setRecoveryInput(e.target.value)}
+                    placeholder="Recovery key or passphrase"
+                    autoCapitalize="none"
+                    autoCorrect="off"
+                    style={inputStyle}
+                />
+                <div>
+                    <Btn onClick={restoreBackup} disabled={busy || !recoveryInput.trim()}>
+                        {busy ? "Restoring..." : "Restore"}
+                    </Btn>
+                </div>
+            </>
+        );
+    } else {
+        content = (
+            <div style={{ color: "#0a7d32" }}>
+                Active (version {status.activeVersion})
+                {remaining ? <span style={{ color: "#666" }}> — backing up {remaining} keys…</span> : null}
+                {!status.secretStorageReady ? (
+                    <div style={{ color: "#666", fontSize: 13 }}>Secret storage is not fully set up on this session.</div>
+                ) : null}
+            </div>
+        );
+    }
 
-function TopBar({ title, right }) {
     return (
-        <header
-            style={{
-                height: 52,
-                padding: "0 12px",
-                borderBottom: "1px solid #eee",
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "space-between",
-                gap: 10,
-            }}
-        >
-            <div style={{ fontWeight: 800 }}>{title}</div>
-            <div style={{ display: "flex", gap: 8 }}>{right}</div>
-        </header>
+        <div style={{ display: "grid", gap: 8 }}>
+            <div style={{ fontWeight: 700 }}>Key backup</div>
+            {content}
+            {progress ? <div style={{ color: "#666", fontSize: 13 }}>{progress}</div> : null}
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
     );
 }
 
-function Btn({ children, onClick, subtle, disabled }) {
+// Security -> Notifications: HTTP pusher этого device на push gateway
+function NotificationsSection({ client }) {
+    const [enabled, setEnabled] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        if (!client || !pushConfigured()) return;
+        let cancelled = false;
+        isPushEnabled(client)
+            .then((on) => {
+                if (!cancelled) setEnabled(on);
+            })
+            .catch((e) => {
+                if (!cancelled) setErr(String(e?.message || e));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [client]);
+
+    async function toggle() {
+        setErr("");
+        setBusy(true);
+        try {
+            if (enabled) await disablePush(client);
+            else await enablePush(client);
+            setEnabled(!enabled);
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
     return (
-        <button
-            onClick={onClick}
-            disabled={disabled}
-            style={{
-                padding: "8px 12px",
-                borderRadius: 12,
-                border: "1px solid " + (subtle ? "#e6e6e6" : "#111"),
-                background: subtle ? "#fff" : "#111",
-                color: subtle ? "#111" : "#fff",
-                fontWeight: 700,
-                cursor: disabled ? "not-allowed" : "pointer",
-                opacity: disabled ? 0.6 : 1,
-            }}
-        >
-            {children}
-        </button>
+        <div style={{ display: "grid", gap: 6, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>Notifications</div>
+            {!pushConfigured() ? (
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    Push не настроен в этой сборке: нужны VITE_PUSH_GATEWAY_URL и VITE_PUSH_VAPID_KEY.
+                </div>
+            ) : (
+                <>
+                    <div style={{ color: enabled ? "#0a7d32" : "#666" }}>
+                        {enabled === null && !err ? "Checking…" : enabled ? "Push notifications are on for this device" : "Off"}
+                    </div>
+                    <div style={{ color: "#666", fontSize: 13 }}>
+                        Уведомления приходят и при закрытой вкладке. Текст зашифрованных сообщений сервер не видит — будет "New encrypted
+                        message".
+                    </div>
+                    <div>
+                        <Btn onClick={toggle} subtle={!!enabled} disabled={busy || enabled === null}>
+                            {busy ? "Saving..." : enabled ? "Turn off" : "Turn on push notifications"}
+                        </Btn>
+                    </div>
+                </>
+            )}
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+            <KeywordsEditor client={client} />
+            <DndSettings />
+        </div>
     );
 }
 
-function SearchBox({ value, onChange }) {
+// content rules: слово в сообщении -> уведомление с highlight, даже в комнатах "Mentions & keywords"
+function KeywordsEditor({ client }) {
+    const [keywords, setKeywords] = useState(() => keywordRules(client).map((r) => r.rule_id));
+    const [input, setInput] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+            setKeywords(keywordRules(client).map((r) => r.rule_id));
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function add() {
+        run(async () => {
+            await addKeyword(client, input);
+            setInput("");
+        });
+    }
+
     return (
-        <input
-            value={value}
-            onChange={(e) => onChange(e.target.value)}
-            placeholder="Search chats..."
-            style={{
-                width: "100%",
-                padding: "10px 12px",
-                borderRadius: 12,
-                border: "1px solid #ddd",
-                outline: "none",
-                fontSize: 14,
-                boxSizing: "border-box",
-            }}
-        />
+        <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+            <div style={{ fontWeight: 600 }}>Keywords</div>
+            {keywords.length ? (
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+                    {keywords.map((k) => (
+                        <span
+                            key={k}
+                            style={{ display: "inline-flex", gap: 6, alignItems: "center", padding: "3px 8px", borderRadius: 10, background: "#f3f3f3", fontSize: 13 }}
+                        >
+                            {k}
+                            <span
+                                onClick={busy ? undefined : () => run(() => removeKeyword(client, k))}
+                                title="Remove"
+                                style={{ cursor: busy ? "default" : "pointer", color: "#888" }}
+                            >
+                                ×
+                            </span>
+                        </span>
+                    ))}
+                </div>
+            ) : (
+                <div style={{ color: "#666", fontSize: 13 }}>Нет ключевых слов.</div>
+            )}
+            <div style={{ display: "flex", gap: 8 }}>
+                <input
+                    value={input}
+                    onChange={(e) => setInput(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter" && input.trim() && !busy) add();
+                    }}
+                    placeholder="Add keyword"
+                    style={{ ...inputStyle, flex: 1 }}
+                />
+                <Btn onClick={add} disabled={busy || !input.trim()}>
+                    Add
+                </Btn>
+            </div>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
     );
 }
 
-function RoomList({ rooms, activeRoomId, onOpen, roomAvatarUrl, senderDisplayName, emptyHint, myUserId }) {
-    if (!rooms.length) {
-        return <div style={{ color: "#666", padding: 12 }}>{emptyHint}</div>;
+// Do not disturb: только на этом устройстве, push-уведомления в эти часы без звука (src/sw.js)
+function DndSettings() {
+    const [dnd, setDnd] = useState(null);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        let cancelled = false;
+        loadDnd()
+            .then((v) => {
+                if (!cancelled) setDnd(v);
+            })
+            .catch((e) => {
+                if (!cancelled) setErr(String(e?.message || e));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    function update(patch) {
+        const next = { ...dnd, ...patch };
+        setDnd(next);
+        saveDnd(next).catch((e) => setErr(String(e?.message || e)));
     }
-    return (
-        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-            {rooms.map((r) => {
-                const avatar = roomAvatarUrl?.(r, 64);
-                const lastEv = r.getLastLiveEvent?.();
-                const lastBody = lastEv?.getContent?.()?.body || "";
-                const lastSender = lastEv?.getSender?.() || "";
-                const lastSenderName = lastSender ? senderDisplayName(r, lastSender) : "";
-                const isActive = activeRoomId && r.roomId === activeRoomId;
 
-                return (
-                    <div
-                        key={r.roomId}
-                        onClick={() => onOpen(r.roomId)}
-                        style={{
-                            display: "flex",
-                            gap: 10,
-                            padding: 10,
-                            borderRadius: 14,
-                            border: "1px solid " + (isActive ? "#111" : "#eee"),
-                            background: isActive ? "#111" : "#fff",
-                            cursor: "pointer",
-                        }}
-                    >
-                        <div
-                            style={{
-                                width: 44,
-                                height: 44,
-                                borderRadius: 14,
-                                overflow: "hidden",
-                                background: isActive ? "#222" : "#f3f3f3",
-                                display: "grid",
-                                placeItems: "center",
-                                flex: "0 0 auto",
-                            }}
-                        >
-                            {avatar ? (
-                                <img src={avatar} alt="" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
-                            ) : (
-                                <div style={{ fontWeight: 900, color: isActive ? "#fff" : "#111" }}>
-                                    {(r.name || "C").slice(0, 1).toUpperCase()}
-                                </div>
-                            )}
-                        </div>
+    if (!dnd) return err ? <div style={{ color: "crimson" }}>{err}</div> : null;
 
-                        <div style={{ minWidth: 0, flex: 1 }}>
-                            <div
-                                style={{
-                                    fontWeight: 800,
-                                    color: isActive ? "#fff" : "#111",
-                                    whiteSpace: "nowrap",
-                                    overflow: "hidden",
-                                    textOverflow: "ellipsis",
-                                }}
-                            >
-                                {r.name || r.roomId}
-                            </div>
-                            <div
-                                style={{
-                                    fontSize: 13,
-                                    color: isActive ? "#cfcfcf" : "#666",
-                                    whiteSpace: "nowrap",
-                                    overflow: "hidden",
-                                    textOverflow: "ellipsis",
-                                    marginTop: 2,
-                                }}
-                            >
-                                {safeText(lastBody)
-                                    ? `${lastSender ? (lastSender === myUserId ? "You" : truncateMiddle(lastSenderName, 18)) + ": " : ""}${safeText(lastBody)}`
-                                    : ""}
-                            </div>
-                        </div>
-                    </div>
-                );
-            })}
+    return (
+        <div style={{ display: "grid", gap: 6, marginTop: 6 }}>
+            <label style={{ display: "flex", gap: 8, alignItems: "center", fontWeight: 600, cursor: "pointer" }}>
+                <input type="checkbox" checked={dnd.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+                Do not disturb hours
+            </label>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, color: dnd.enabled ? "#111" : "#888" }}>
+                from
+                <input
+                    type="time"
+                    value={dnd.start}
+                    disabled={!dnd.enabled}
+                    onChange={(e) => e.target.value && update({ start: e.target.value })}
+                    style={{ ...inputStyle, width: "auto" }}
+                />
+                to
+                <input
+                    type="time"
+                    value={dnd.end}
+                    disabled={!dnd.enabled}
+                    onChange={(e) => e.target.value && update({ end: e.target.value })}
+                    style={{ ...inputStyle, width: "auto" }}
+                />
+            </div>
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
         </div>
     );
 }
 
-function ChatView({ myUserId, room, events, typingUsers, message, setMessage, onSend, onBack, client, senderDisplayName }) {
-    const bottomRef = useRef(null);
+// Security -> Privacy
+function PrivacySection({ privateReceipts, onPrivateReceipts }) {
+    return (
+        <div style={{ display: "grid", gap: 6, fontSize: 14 }}>
+            <div style={{ fontWeight: 700 }}>Privacy</div>
+            <label style={{ display: "flex", gap: 8, alignItems: "center", cursor: "pointer" }}>
+                <input type="checkbox" checked={privateReceipts} onChange={(e) => onPrivateReceipts(e.target.checked)} />
+                Private read receipts
+            </label>
+            <div style={{ color: "#666", fontSize: 13 }}>
+                Другие участники не увидят отметок о прочтении (m.read.private). Счётчики непрочитанного сбрасываются как обычно.
+            </div>
+        </div>
+    );
+}
 
-    const msgEvents = useMemo(() => {
-        return (events || [])
-            .filter((e) => e.getType?.() === "m.room.message")
-            .filter((e) => e.getContent?.()?.msgtype === "m.text" || e.getContent?.()?.body);
-    }, [events]);
+// Security -> App lock: включить / сменить PIN / idle timeout / выключить
+function AppLockSection({ accounts, enabled, idleMinutes, onChange }) {
+    const [pin, setPin] = useState("");
+    const [confirmPin, setConfirmPin] = useState("");
+    const [idle, setIdle] = useState(5);
+    const [editing, setEditing] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
 
-    // Auto-scroll
-    useEffect(() => {
-        bottomRef.current?.scrollIntoView({ block: "end", behavior: "smooth" });
-    }, [msgEvents.length, room?.roomId]);
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+            onChange();
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
 
-    // Send read receipt (best-effort)
-    useEffect(() => {
-        if (!client || !room || !msgEvents.length) return;
-        const latest = [...msgEvents].reverse().find((e) => {
-            const sender = e.getSender?.();
-            return sender && sender !== myUserId;
+    function savePin() {
+        if (pin.length < LOCK_MIN_PIN) return setErr(`PIN must be at least ${LOCK_MIN_PIN} characters`);
+        if (pin !== confirmPin) return setErr("PINs don't match");
+        run(async () => {
+            await enableAppLock(pin, enabled ? idleMinutes : idle);
+            setPin("");
+            setConfirmPin("");
+            setEditing(false);
         });
-        if (!latest) return;
+    }
 
-        try {
-            if (typeof client.sendReadReceipt === "function") {
-                client.sendReadReceipt(latest);
-            } else if (typeof client.sendReceipt === "function") {
-                client.sendReceipt(latest, "m.read");
-            }
-        } catch {}
-    }, [client, room?.roomId, msgEvents.length, myUserId]);
+    // вошедшие до app lock: crypto store создан без storageKey, перешифровать его нельзя — только новый вход
+    const unprotected = accounts.filter((a) => !a.pickleKey);
 
-    const typingLine = (typingUsers || []).filter(Boolean).join(", ");
+    const idleSelect = (value, onSelect) => (
+        <select value={value} onChange={(e) => onSelect(Number(e.target.value))} disabled={busy} style={inputStyle}>
+            {LOCK_IDLE_OPTIONS.map((m) => (
+                <option key={m} value={m}>
+                    Lock after {m} min idle
+                </option>
+            ))}
+        </select>
+    );
 
     return (
-        <div style={{ height: "100vh", display: "flex", flexDirection: "column", minWidth: 0 }}>
-            <header
-                style={{
-                    height: 64,
-                    padding: "0 12px",
-                    borderBottom: "1px solid #eee",
-                    display: "flex",
-                    alignItems: "center",
-                    gap: 10,
-                }}
-            >
-                {onBack ? (
-                    <button
-                        onClick={onBack}
-                        style={{
-                            width: 40,
-                            height: 40,
-                            borderRadius: 12,
-                            border: "1px solid #eee",
-                            background: "#fff",
-                            cursor: "pointer",
-                            fontSize: 18,
-                        }}
-                    >
-                        ←
-                    </button>
-                ) : null}
+        <div style={{ display: "grid", gap: 8, fontSize: 14 }}>
+            <div>
+                <div style={{ fontWeight: 700 }}>App lock</div>
+                <div style={{ color: enabled ? "#0a7d32" : "#666" }}>
+                    {enabled ? "On — sessions are encrypted with your PIN" : "Off"}
+                </div>
+            </div>
 
-                <div style={{ minWidth: 0, flex: 1 }}>
-                    <div style={{ fontWeight: 900, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
-                        {room?.name || "Chat"}
+            {!enabled || editing ? (
+                <>
+                    <div style={{ color: "#666", fontSize: 13 }}>
+                        Токены и ключ crypto store (E2E-ключи в IndexedDB) шифруются PIN-ом. PIN спрашивается при запуске и после
+                        простоя.
                     </div>
-                    <div style={{ fontSize: 12, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
-                        {typingLine ? `${typingLine} typing…` : room?.roomId}
+                    <div style={{ color: "#666", fontSize: 13 }}>
+                        Минимум {LOCK_MIN_PIN} символов. Тот, кто скопирует данные браузера, может перебирать PIN офлайн: 6 цифр
+                        держатся часы, длинная фраза из букв и цифр — годы.
+                    </div>
+                    <input
+                        type="password"
+                        value={pin}
+                        onChange={(e) => setPin(e.target.value)}
+                        placeholder={enabled ? `New PIN (${LOCK_MIN_PIN}+ characters)` : `PIN (${LOCK_MIN_PIN}+ characters)`}
+                        style={inputStyle}
+                    />
+                    <input
+                        type="password"
+                        value={confirmPin}
+                        onChange={(e) => setConfirmPin(e.target.value)}
+                        placeholder="Repeat PIN"
+                        style={inputStyle}
+                    />
+                    {!enabled ? idleSelect(idle, setIdle) : null}
+                    <div style={{ display: "flex", gap: 8 }}>
+                        <Btn onClick={savePin} disabled={busy || !pin}>
+                            {busy ? "Encrypting..." : enabled ? "Change PIN" : "Turn on app lock"}
+                        </Btn>
+                        {editing ? (
+                            <Btn subtle onClick={() => setEditing(false)} disabled={busy}>
+                                Cancel
+                            </Btn>
+                        ) : null}
+                    </div>
+                </>
+            ) : (
+                <>
+                    {idleSelect(idleMinutes, (m) => run(() => setAppLockIdle(m)))}
+                    <div style={{ display: "flex", gap: 8 }}>
+                        <Btn subtle onClick={() => setEditing(true)} disabled={busy}>
+                            Change PIN
+                        </Btn>
+                        <Btn subtle onClick={() => run(disableAppLock)} disabled={busy}>
+                            Turn off
+                        </Btn>
                     </div>
+                </>
+            )}
+
+            {unprotected.length ? (
+                <div style={{ color: "#b26a00", fontSize: 13, display: "grid", gap: 4 }}>
+                    <div>E2E keys of these accounts are stored without encryption, the PIN doesn't protect them:</div>
+                    {unprotected.map((a) => (
+                        <div key={a.userId} style={{ fontWeight: 700, wordBreak: "break-all" }}>
+                            {a.userId}
+                        </div>
+                    ))}
+                    <div>Sign out of them and sign in again to encrypt their keys.</div>
                 </div>
-            </header>
+            ) : null}
 
-            <div style={{ flex: 1, overflow: "auto", padding: 12, background: "#fafafa" }}>
-                {msgEvents.slice(-400).map((e) => {
-                    const sender = e.getSender?.() || "";
-                    const isMine = !!myUserId && sender === myUserId;
-                    const senderName = sender ? senderDisplayName(room, sender) : "";
-                    const body = safeText(e.getContent?.()?.body);
-                    const ts = e.getTs?.();
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+        </div>
+    );
+}
 
-                    return (
-                        <div
-                            key={e.getId?.() || `${sender}-${ts}-${Math.random()}`}
-                            style={{
-                                display: "flex",
-                                justifyContent: isMine ? "flex-end" : "flex-start",
-                                marginBottom: 10,
-                            }}
-                        >
-                            <div
-                                style={{
-                                    maxWidth: "78%",
-                                    padding: "10px 12px",
-                                    borderRadius: 16,
-                                    background: isMine ? "#111" : "#fff",
-                                    border: isMine ? "1px solid #111" : "1px solid #e8e8e8",
-                                    color: isMine ? "#fff" : "#111",
-                                }}
-                            >
-                                {!isMine ? (
-                                    <div style={{ fontSize: 12, color: "#666", marginBottom: 4 }}>
-                                        {senderName || sender}
-                                    </div>
-                                ) : null}
+function VerificationDialog({ request, displayName, onClose }) {
+    const [, setTick] = useState(0);
+    const [sas, setSas] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+    const verifyStartedRef = useRef(null);
 
-                                <div style={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}>{body}</div>
+    useEffect(() => {
+        const onChange = () => setTick((t) => t + 1);
+        request.on(VerificationRequestEvent.Change, onChange);
+        return () => request.off(VerificationRequestEvent.Change, onChange);
+    }, [request]);
 
-                                <div
-                                    style={{
-                                        fontSize: 11,
-                                        marginTop: 6,
-                                        color: isMine ? "#cfcfcf" : "#888",
-                                        textAlign: "right",
-                                    }}
-                                >
-                                    {formatTime(ts)}
-                                </div>
-                            </div>
-                        </div>
-                    );
-                })}
-                <div ref={bottomRef} />
-            </div>
+    // verifier появляется, когда одна из сторон нажала Start
+    const verifier = request.verifier;
+    useEffect(() => {
+        if (!verifier) return;
+        const onShowSas = (callbacks) => setSas(callbacks);
+        verifier.on(VerifierEvent.ShowSas, onShowSas);
+        const existing = verifier.getShowSasCallbacks();
+        if (existing) setSas(existing);
+        if (verifyStartedRef.current !== verifier) {
+            verifyStartedRef.current = verifier;
+            verifier.verify().catch((e) => setErr(String(e?.message || e)));
+        }
+        return () => verifier.off(VerifierEvent.ShowSas, onShowSas);
+    }, [verifier]);
 
-            <footer style={{ padding: 12, borderTop: "1px solid #eee", background: "#fff" }}>
-                <div style={{ display: "flex", gap: 8 }}>
-                    <input
-                        value={message}
-                        onChange={(e) => setMessage(e.target.value)}
-                        onKeyDown={(e) => (e.key === "Enter" ? onSend() : null)}
-                        placeholder="Message"
-                        style={{
-                            flex: 1,
-                            padding: "12px 12px",
-                            borderRadius: 14,
-                            border: "1px solid #ddd",
-                            outline: "none",
-                            fontSize: 14,
-                        }}
-                    />
-                    <Btn onClick={onSend} disabled={!message.trim()}>
-                        Send
+    async function run(fn) {
+        setErr("");
+        setBusy(true);
+        try {
+            await fn();
+        } catch (e) {
+            setErr(String(e?.message || e));
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    const phase = request.phase;
+    const finished = phase === VerificationPhase.Done || phase === VerificationPhase.Cancelled;
+    const who = request.isSelfVerification ? "your other session" : displayName?.(request.otherUserId) || request.otherUserId;
+
+    function close() {
+        if (!finished) request.cancel().catch(() => {});
+        onClose();
+    }
+
+    let content;
+    if (phase === VerificationPhase.Done) {
+        content = <div style={{ color: "#0a7d32", fontWeight: 700 }}>✅ Verified {who}.</div>;
+    } else if (phase === VerificationPhase.Cancelled) {
+        content = (
+            <div style={{ color: "#666" }}>
+                Verification cancelled{request.cancellationCode ? ` (${request.cancellationCode})` : ""}.
+            </div>
+        );
+    } else if (sas?.sas?.emoji) {
+        content = (
+            <>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    Сравни emoji с тем, что видит {who}. Они должны совпасть в том же порядке.
+                </div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8, justifyContent: "center", margin: "14px 0" }}>
+                    {sas.sas.emoji.map(([emoji, name], i) => (
+                        <div key={i} style={{ width: 64, textAlign: "center" }}>
+                            <div style={{ fontSize: 32 }}>{emoji}</div>
+                            <div style={{ fontSize: 11, color: "#666" }}>{name}</div>
+                        </div>
+                    ))}
+                </div>
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                    <Btn subtle disabled={busy} onClick={() => sas.mismatch()}>
+                        They don't match
+                    </Btn>
+                    <Btn disabled={busy} onClick={() => run(() => sas.confirm())}>
+                        They match
                     </Btn>
                 </div>
-            </footer>
-        </div>
+            </>
+        );
+    } else if (phase === VerificationPhase.Requested && !request.initiatedByMe) {
+        content = (
+            <>
+                <div style={{ color: "#666", marginBottom: 12 }}>{who} wants to verify with you.</div>
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                    <Btn subtle disabled={busy} onClick={close}>
+                        Decline
+                    </Btn>
+                    <Btn disabled={busy} onClick={() => run(() => request.accept())}>
+                        Accept
+                    </Btn>
+                </div>
+            </>
+        );
+    } else if (phase === VerificationPhase.Ready) {
+        content = (
+            <>
+                <div style={{ color: "#666", marginBottom: 12 }}>Ready. Start emoji comparison on either device.</div>
+                <div style={{ display: "flex", justifyContent: "flex-end" }}>
+                    <Btn disabled={busy} onClick={() => run(() => request.startVerification("m.sas.v1"))}>
+                        Start emoji verification
+                    </Btn>
+                </div>
+            </>
+        );
+    } else {
+        content = <div style={{ color: "#666" }}>Waiting for {who}…</div>;
+    }
+
+    return (
+        <Modal title={request.isSelfVerification ? "Verify session" : `Verify ${who}`} onClose={close}>
+            {content}
+            {err ? <div style={{ color: "crimson", marginTop: 10 }}>{err}</div> : null}
+        </Modal>
     );
 }
 
-function Modal({ title, children, onClose }) {
+// -------------------- Login --------------------
+// PIN на запуске и после idle timeout. Забытый PIN = войти заново: зашифрованные сессии не восстановить
+function LockScreen({ onUnlock }) {
+    const [pin, setPin] = useState("");
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    async function unlock() {
+        setErr("");
+        setBusy(true);
+        try {
+            await unlockApp(pin);
+            onUnlock();
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setPin("");
+            setBusy(false);
+        }
+    }
+
+    // без PIN не узнать, чьи это базы — удаляем все свои (crypto store, sync cache, outbox)
+    async function reset() {
+        if (!confirm("Forget all accounts on this device? You will need to sign in again.")) return;
+        localStorage.removeItem(LOCK_KEY);
+        lockApp();
+        try {
+            const dbs = (await indexedDB.databases?.()) || [];
+            dbs.filter((d) => d.name?.startsWith("happychat_")).forEach((d) => indexedDB.deleteDatabase(d.name));
+        } catch (e) {
+            console.warn("Store cleanup failed:", e);
+        }
+        onUnlock();
+    }
+
     return (
-        <div
-            onMouseDown={onClose}
-            style={{
-                position: "fixed",
-                inset: 0,
-                background: "rgba(0,0,0,0.35)",
-                display: "grid",
-                placeItems: "center",
-                padding: 12,
-                zIndex: 1000,
-            }}
-        >
-            <div
-                onMouseDown={(e) => e.stopPropagation()}
-                style={{
-                    width: "min(520px, 100%)",
-                    background: "#fff",
-                    borderRadius: 18,
-                    border: "1px solid #eee",
-                    padding: 14,
-                    boxShadow: "0 10px 30px rgba(0,0,0,0.18)",
-                }}
-            >
-                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
-                    <div style={{ fontWeight: 900 }}>{title}</div>
-                    <button
-                        onClick={onClose}
-                        style={{
-                            width: 40,
-                            height: 40,
-                            borderRadius: 12,
-                            border: "1px solid #eee",
-                            background: "#fff",
-                            cursor: "pointer",
-                            fontSize: 18,
-                        }}
-                    >
-                        ×
-                    </button>
-                </div>
-                <div style={{ height: 12 }} />
-                {children}
+        <div style={{ maxWidth: 440, margin: "40px auto", padding: 12, fontFamily: "system-ui" }}>
+            <h2 style={{ marginBottom: 6 }}>HappyChat is locked</h2>
+            <div style={{ color: "#666", fontSize: 13, marginBottom: 16 }}>Enter your PIN to continue.</div>
+
+            <div style={{ display: "grid", gap: 10 }}>
+                <input
+                    type="password"
+                    autoFocus
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key === "Enter" && pin && !busy) unlock();
+                    }}
+                    placeholder="PIN"
+                    style={inputStyle}
+                />
+                <Btn onClick={unlock} disabled={busy || !pin}>
+                    {busy ? "Unlocking..." : "Unlock"}
+                </Btn>
+
+                {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+                <Btn subtle onClick={reset}>
+                    Forgot PIN
+                </Btn>
             </div>
         </div>
     );
 }
 
-// -------------------- Login --------------------
-function Login({ onLogin }) {
+function Login({ onLogin, onRegister, onCancel, initialError }) {
+    const [mode, setMode] = useState("login");
     const [homeserver, setHomeserver] = useState("matrix.org");
     const [username, setUsername] = useState("");
     const [password, setPassword] = useState("");
+    // что умеет сервер: { baseUrl, password, sso, oidc } (см. fetchLoginOptions)
+    const [server, setServer] = useState(null);
+    const [serverErr, setServerErr] = useState("");
+    const [checking, setChecking] = useState(false);
 
-    const [err, setErr] = useState("");
+    const [err, setErr] = useState(initialError || "");
     const [loading, setLoading] = useState(false);
 
+    // @name:server в username -> сервер берём из MXID
+    const mxidDomain = mode === "login" ? /^@[^:]+:(.+)$/.exec(username.trim())?.[1] || "" : "";
+    const target = mxidDomain || homeserver.trim();
+
+    useEffect(() => {
+        setServer(null);
+        setServerErr("");
+        if (!target) return;
+        let cancelled = false;
+        setChecking(true);
+        const t = setTimeout(async () => {
+            try {
+                const opts = await fetchLoginOptions(await discoverHomeserver(target));
+                if (!cancelled) setServer(opts);
+            } catch (e) {
+                if (!cancelled) setServerErr(String(e?.message || e));
+            } finally {
+                if (!cancelled) setChecking(false);
+            }
+        }, 500);
+        return () => {
+            cancelled = true;
+            clearTimeout(t);
+        };
+    }, [target]);
+
+    // SSO/OIDC уходят редиректом, так что loading снимаем только при ошибке
+    async function run(fn) {
+        setErr("");
+        setLoading(true);
+        try {
+            await fn();
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setLoading(false);
+        }
+    }
+
+    const showPassword = !server || server.password;
+    const issuerHost = server?.oidc ? new URL(server.oidc.issuer).host : "";
+
     return (
         <div style={{ maxWidth: 440, margin: "40px auto", padding: 12, fontFamily: "system-ui" }}>
-            <h2 style={{ marginBottom: 6 }}>Login</h2>
+            {onCancel ? (
+                <div style={{ marginBottom: 8 }}>
+                    <Btn subtle onClick={onCancel}>
+                        ← Back
+                    </Btn>
+                </div>
+            ) : null}
+            <h2 style={{ marginBottom: 6 }}>{mode === "register" ? "Create account" : onCancel ? "Add account" : "Login"}</h2>
             <div style={{ color: "#666", fontSize: 13, marginBottom: 16 }}>
-                Homeserver: <code>matrix.org</code> (или твой). Username лучше вставлять полностью:{" "}
-                <code>@name:server</code>.
+                {mode === "register" ? (
+                    <>
+                        Homeserver: <code>matrix.org</code> (или твой) — аккаунт будет <code>@name:server</code>.
+                    </>
+                ) : (
+                    <>
+                        Homeserver: <code>matrix.org</code> (или твой). Username лучше вставлять полностью:{" "}
+                        <code>@name:server</code> — сервер найдётся сам.
+                    </>
+                )}
             </div>
 
             <div style={{ display: "grid", gap: 10 }}>
                 <div>
                     <div style={{ fontWeight: 700, marginBottom: 6 }}>Homeserver</div>
                     <input
-                        value={homeserver}
+                        value={mxidDomain || homeserver}
                         onChange={(e) => setHomeserver(e.target.value)}
+                        disabled={!!mxidDomain}
                         style={inputStyle}
                         autoCapitalize="none"
                         autoCorrect="off"
                     />
+                    <div style={{ fontSize: 12, marginTop: 4, color: serverErr ? "crimson" : "#888" }}>
+                        {checking
+                            ? "Checking homeserver…"
+                            : serverErr
+                              ? serverErr
+                              : server
+                                ? `${server.baseUrl}${mxidDomain ? " (from your Matrix ID)" : ""}`
+                                : ""}
+                    </div>
                 </div>
 
-                <div>
-                    <div style={{ fontWeight: 700, marginBottom: 6 }}>Username</div>
-                    <input
-                        value={username}
-                        onChange={(e) => setUsername(e.target.value)}
-                        style={inputStyle}
-                        autoCapitalize="none"
-                        autoCorrect="off"
-                    />
-                </div>
+                {mode === "register" ? (
+                    <RegisterForm server={server} onRegister={onRegister} />
+                ) : (
+                    <>
+                        {server?.oidc ? (
+                            <Btn onClick={() => run(() => startOidcLogin(server.baseUrl, server.oidc))} disabled={loading}>
+                                {loading ? "Loading..." : `Continue with ${issuerHost}`}
+                            </Btn>
+                        ) : server?.sso ? (
+                            server.sso.providers.length ? (
+                                server.sso.providers.map((p) => (
+                                    <Btn
+                                        key={p.id}
+                                        subtle
+                                        onClick={() => run(() => startSsoLogin(server.baseUrl, p.id))}
+                                        disabled={loading}
+                                    >
+                                        Continue with {p.name}
+                                    </Btn>
+                                ))
+                            ) : (
+                                <Btn subtle onClick={() => run(() => startSsoLogin(server.baseUrl))} disabled={loading}>
+                                    Continue with SSO
+                                </Btn>
+                            )
+                        ) : null}
 
-                <div>
-                    <div style={{ fontWeight: 700, marginBottom: 6 }}>Password</div>
-                    <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} />
+                        {showPassword && (server?.oidc || server?.sso) ? (
+                            <div style={{ textAlign: "center", fontSize: 12, color: "#888" }}>or</div>
+                        ) : null}
+
+                        <div>
+                            <div style={{ fontWeight: 700, marginBottom: 6 }}>Username</div>
+                            <input
+                                value={username}
+                                onChange={(e) => setUsername(e.target.value)}
+                                style={inputStyle}
+                                autoCapitalize="none"
+                                autoCorrect="off"
+                            />
+                        </div>
+
+                        {showPassword ? (
+                            <div>
+                                <div style={{ fontWeight: 700, marginBottom: 6 }}>Password</div>
+                                <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} />
+                            </div>
+                        ) : null}
+
+                        {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+                        {showPassword ? (
+                            <Btn
+                                onClick={() => run(() => onLogin({ baseUrl: server.baseUrl, username, password }))}
+                                disabled={loading || !server || !username.trim() || !password}
+                            >
+                                {loading ? "Loading..." : "Login"}
+                            </Btn>
+                        ) : null}
+                    </>
+                )}
+
+                <div style={{ textAlign: "center", fontSize: 13, color: "#666" }}>
+                    {mode === "register" ? "Already have an account? " : "New here? "}
+                    <a
+                        href="#"
+                        onClick={(e) => {
+                            e.preventDefault();
+                            setErr("");
+                            setMode(mode === "register" ? "login" : "register");
+                        }}
+                    >
+                        {mode === "register" ? "Log in" : "Create account"}
+                    </a>
                 </div>
+            </div>
+        </div>
+    );
+}
+
+// Токен больше не действует. soft: пароль/SSO в тот же device, иначе — убрать аккаунт с устройства
+function SessionEndedScreen({ session, soft, error, onReauth, onForget }) {
+    const [password, setPassword] = useState("");
+    const [options, setOptions] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        if (!soft) return;
+        let cancelled = false;
+        fetchLoginOptions(session.baseUrl)
+            .then((o) => {
+                if (!cancelled) setOptions(o);
+            })
+            .catch((e) => {
+                if (!cancelled) setErr(String(e?.message || e));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [soft, session.baseUrl]);
+
+    async function relogin() {
+        setErr("");
+        setBusy(true);
+        try {
+            const temp = sdk.createClient({ baseUrl: session.baseUrl });
+            const res = await temp.login("m.login.password", {
+                identifier: { type: "m.id.user", user: session.userId },
+                password,
+                device_id: session.deviceId,
+                refresh_token: true,
+            });
+            onReauth({ accessToken: res.access_token, refreshToken: res.refresh_token });
+        } catch (e) {
+            setErr(String(e?.message || e));
+            setBusy(false);
+        }
+    }
+
+    return (
+        <div style={{ maxWidth: 440, margin: "40px auto", padding: 12, fontFamily: "system-ui" }}>
+            <h2 style={{ marginBottom: 6 }}>{soft ? "Session expired" : "Signed out"}</h2>
+            <div style={{ color: "#666", fontSize: 13, marginBottom: 16 }}>
+                {soft ? (
+                    <>
+                        Sign in again as <code>{session.userId}</code> to continue. Messages and encryption keys stay on this device.
+                    </>
+                ) : (
+                    <>
+                        <code>{session.userId}</code> was signed out elsewhere (another device or the server admin). This device can no
+                        longer read or send messages for this account.
+                    </>
+                )}
+                {error ? <div style={{ marginTop: 6 }}>Server said: {error}</div> : null}
+            </div>
+
+            <div style={{ display: "grid", gap: 10 }}>
+                {soft && options?.password ? (
+                    <>
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === "Enter" && password && !busy) relogin();
+                            }}
+                            placeholder="Password"
+                            style={inputStyle}
+                        />
+                        <Btn onClick={relogin} disabled={busy || !password}>
+                            {busy ? "Signing in..." : "Sign in"}
+                        </Btn>
+                    </>
+                ) : null}
+                {soft && options?.sso && !options.oidc
+                    ? (options.sso.providers.length ? options.sso.providers : [{ id: undefined, name: "SSO" }]).map((p) => (
+                          <Btn key={p.id || "sso"} subtle onClick={() => startSsoLogin(session.baseUrl, p.id, session.deviceId)}>
+                              Continue with {p.name}
+                          </Btn>
+                      ))
+                    : null}
+                {soft && !options && !err ? <div style={{ color: "#888", fontSize: 13 }}>Checking homeserver…</div> : null}
 
                 {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
 
+                <Btn subtle={soft} onClick={onForget}>
+                    {soft ? "Remove account from this device" : "Sign in again"}
+                </Btn>
+            </div>
+        </div>
+    );
+}
+
+// /register с UIA: SDK InteractiveAuth выбирает flow, мы рисуем UI текущей стадии
+function RegisterForm({ server, onRegister }) {
+    const [username, setUsername] = useState("");
+    const [password, setPassword] = useState("");
+    const [password2, setPassword2] = useState("");
+    const [email, setEmail] = useState("");
+    // { key, ok, text } — ответ /register/available для key = baseUrl|localpart
+    const [checked, setChecked] = useState(null);
+
+    const [auth, setAuth] = useState(null);
+    // текущая стадия UIA: { type, status: { error?, emailSid? } }
+    const [stage, setStage] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [err, setErr] = useState("");
+
+    const localpart = username.trim().replace(/^@/, "").split(":")[0];
+    const baseUrl = server?.baseUrl;
+    const availabilityKey = `${baseUrl}|${localpart}`;
+    const availability = checked?.key === availabilityKey ? checked : null;
+
+    useEffect(() => {
+        if (!baseUrl || !localpart) return;
+        let cancelled = false;
+        const t = setTimeout(async () => {
+            const key = `${baseUrl}|${localpart}`;
+            try {
+                const ok = await sdk.createClient({ baseUrl }).isUsernameAvailable(localpart);
+                if (!cancelled) setChecked({ key, ok, text: ok ? "Username is available" : "Username is taken" });
+            } catch (e) {
+                if (!cancelled) setChecked({ key, ok: false, text: e?.data?.error || e?.message || "Invalid username" });
+            }
+        }, 500);
+        return () => {
+            cancelled = true;
+            clearTimeout(t);
+        };
+    }, [baseUrl, localpart]);
+
+    // email: ждём клика по ссылке из письма
+    useEffect(() => {
+        if (!auth || stage?.type !== sdk.AuthType.Email) return;
+        const t = setInterval(() => auth.poll().catch(() => {}), 5000);
+        return () => clearInterval(t);
+    }, [auth, stage?.type]);
+
+    async function register() {
+        if (password !== password2) {
+            setErr("Passwords don't match");
+            return;
+        }
+        setErr("");
+
+        const temp = sdk.createClient({ baseUrl });
+        const ia = new sdk.InteractiveAuth({
+            matrixClient: temp,
+            inputs: { emailAddress: email.trim() || undefined },
+            supportedStages: REGISTER_STAGES,
+            doRequest: (authDict) =>
+                temp.registerRequest({
+                    username: localpart,
+                    password,
+                    initial_device_display_name: "HappyChat",
+                    refresh_token: true,
+                    ...(authDict ? { auth: authDict } : {}),
+                }),
+            stateUpdated: (type, status) => setStage({ type, status }),
+            requestEmailToken: (address, secret, attempt) => temp.requestRegisterEmailToken(address, secret, attempt),
+            busyChanged: setBusy,
+        });
+        setAuth(ia);
+
+        try {
+            const res = await ia.attemptAuth();
+            onRegister({
+                baseUrl,
+                accessToken: res.access_token,
+                refreshToken: res.refresh_token,
+                userId: res.user_id,
+                deviceId: res.device_id,
+            });
+        } catch (e) {
+            setErr(registrationError(e));
+            setAuth(null);
+            setStage(null);
+        }
+    }
+
+    function cancel() {
+        setAuth(null);
+        setStage(null);
+        setBusy(false);
+    }
+
+    // MSC3861: регистрация у OIDC-провайдера
+    if (server?.oidc) {
+        return (
+            <Btn onClick={() => startOidcLogin(baseUrl, server.oidc, "create").catch((e) => setErr(String(e?.message || e)))}>
+                Create account at {new URL(server.oidc.issuer).host}
+            </Btn>
+        );
+    }
+
+    if (auth) {
+        return (
+            <div style={{ display: "grid", gap: 10 }}>
+                {stage ? (
+                    <RegisterStage auth={auth} baseUrl={baseUrl} stage={stage} email={email.trim()} busy={busy} />
+                ) : (
+                    <div style={{ color: "#666" }}>Creating account…</div>
+                )}
+                {stage?.status?.error ? <div style={{ color: "crimson" }}>{stage.status.error}</div> : null}
+                <Btn subtle onClick={cancel}>
+                    Cancel
+                </Btn>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Username</div>
+                <input
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    style={inputStyle}
+                    autoCapitalize="none"
+                    autoCorrect="off"
+                />
+                {availability ? (
+                    <div style={{ fontSize: 12, marginTop: 4, color: availability.ok ? "#2e7d32" : "crimson" }}>{availability.text}</div>
+                ) : null}
+            </div>
+
+            <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Password</div>
+                <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} />
+            </div>
+
+            <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Confirm password</div>
+                <input type="password" value={password2} onChange={(e) => setPassword2(e.target.value)} style={inputStyle} />
+            </div>
+
+            <div>
+                <div style={{ fontWeight: 700, marginBottom: 6 }}>Email (optional)</div>
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    style={inputStyle}
+                    autoCapitalize="none"
+                    autoCorrect="off"
+                />
+            </div>
+
+            {err ? <div style={{ color: "crimson" }}>{err}</div> : null}
+
+            <Btn onClick={register} disabled={!baseUrl || !localpart || availability?.ok === false || !password || !password2}>
+                Create account
+            </Btn>
+        </>
+    );
+}
+
+function RegisterStage({ auth, baseUrl, stage, email, busy }) {
+    const [accepted, setAccepted] = useState({});
+    const [token, setToken] = useState("");
+    const [fallbackOpened, setFallbackOpened] = useState(false);
+
+    // ошибки стадии приходят через stateUpdated, промис тут не нужен
+    const submit = (dict) => auth.submitAuthDict(dict).catch(() => {});
+    const params = auth.getStageParams(stage.type) || {};
+
+    if (stage.type === sdk.AuthType.Terms) {
+        const policies = Object.entries(params.policies || {}).map(([id, p]) => {
+            const lang = p.en || Object.values(p).find((v) => v && typeof v === "object") || {};
+            return { id, name: lang.name || id, url: lang.url };
+        });
+        return (
+            <div style={{ display: "grid", gap: 8 }}>
+                <div style={{ fontWeight: 700 }}>Terms of service</div>
+                {policies.map((p) => (
+                    <label key={p.id} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                        <input
+                            type="checkbox"
+                            checked={!!accepted[p.id]}
+                            onChange={(e) => setAccepted({ ...accepted, [p.id]: e.target.checked })}
+                        />
+                        <span>
+                            I accept the{" "}
+                            <a href={safeHref(p.url) || undefined} target="_blank" rel="noreferrer noopener">
+                                {p.name}
+                            </a>
+                        </span>
+                    </label>
+                ))}
+                <Btn onClick={() => submit({ type: sdk.AuthType.Terms })} disabled={busy || policies.some((p) => !accepted[p.id])}>
+                    {busy ? "Loading..." : "Accept"}
+                </Btn>
+            </div>
+        );
+    }
+
+    if (stage.type === sdk.AuthType.Email) {
+        return (
+            <div style={{ display: "grid", gap: 8 }}>
+                <div style={{ fontWeight: 700 }}>Confirm your email</div>
+                <div style={{ color: "#666", fontSize: 13 }}>
+                    We sent a link to <b>{email}</b>. Open it, and this page continues by itself.
+                </div>
                 <Btn
-                    onClick={async () => {
-                        setErr("");
-                        setLoading(true);
-                        try {
-                            await onLogin({ homeserver, username, password });
-                        } catch (e) {
-                            setErr(String(e?.message || e));
-                            setLoading(false);
-                        }
-                    }}
-                    disabled={loading || !homeserver.trim() || !username.trim() || !password}
+                    onClick={() =>
+                        submit({
+                            type: sdk.AuthType.Email,
+                            threepid_creds: { sid: auth.getEmailSid(), client_secret: auth.getClientSecret() },
+                        })
+                    }
+                    disabled={busy || !auth.getEmailSid()}
                 >
-                    {loading ? "Loading..." : "Login"}
+                    I've confirmed
+                </Btn>
+                <Btn subtle onClick={() => auth.requestEmailToken().catch(() => {})} disabled={busy}>
+                    Resend email
+                </Btn>
+            </div>
+        );
+    }
+
+    if (stage.type === sdk.AuthType.Recaptcha) {
+        return (
+            <div style={{ display: "grid", gap: 8 }}>
+                <div style={{ fontWeight: 700 }}>Are you a robot?</div>
+                {params.public_key ? (
+                    <RecaptchaStage
+                        publicKey={params.public_key}
+                        onResponse={(response) => submit({ type: sdk.AuthType.Recaptcha, response })}
+                    />
+                ) : (
+                    <div style={{ color: "crimson" }}>The homeserver didn't send a reCAPTCHA key</div>
+                )}
+            </div>
+        );
+    }
+
+    if (stage.type === sdk.AuthType.RegistrationToken || stage.type === sdk.AuthType.UnstableRegistrationToken) {
+        return (
+            <div style={{ display: "grid", gap: 8 }}>
+                <div style={{ fontWeight: 700 }}>Registration token</div>
+                <input
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    style={inputStyle}
+                    autoCapitalize="none"
+                    autoCorrect="off"
+                />
+                <Btn onClick={() => submit({ type: stage.type, token: token.trim() })} disabled={busy || !token.trim()}>
+                    {busy ? "Loading..." : "Continue"}
                 </Btn>
             </div>
+        );
+    }
+
+    // неизвестная стадия: fallback-страница сервера, потом повтор с одной session
+    const fallbackUrl = auth.getSessionId()
+        ? sdk.createClient({ baseUrl }).getFallbackAuthUrl(stage.type, auth.getSessionId())
+        : null;
+    return (
+        <div style={{ display: "grid", gap: 8 }}>
+            <div style={{ color: "#666", fontSize: 13 }}>
+                This step (<code>{stage.type}</code>) has to be completed on the homeserver's page.
+            </div>
+            <Btn
+                subtle
+                onClick={() => {
+                    window.open(fallbackUrl, "_blank", "noopener");
+                    setFallbackOpened(true);
+                }}
+                disabled={!fallbackUrl}
+            >
+                Open
+            </Btn>
+            <Btn onClick={() => submit({})} disabled={busy || !fallbackOpened}>
+                Continue
+            </Btn>
         </div>
     );
 }
+
+function RecaptchaStage({ publicKey, onResponse }) {
+    const ref = useRef(null);
+    const onResponseRef = useRef(onResponse);
+    const [err, setErr] = useState("");
+
+    useEffect(() => {
+        onResponseRef.current = onResponse;
+    }, [onResponse]);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadRecaptcha()
+            .then((grecaptcha) => {
+                if (cancelled || !ref.current) return;
+                grecaptcha.render(ref.current, {
+                    sitekey: publicKey,
+                    callback: (response) => onResponseRef.current(response),
+                });
+            })
+            .catch((e) => setErr(String(e?.message || e)));
+        return () => {
+            cancelled = true;
+        };
+    }, [publicKey]);
+
+    return err ? <div style={{ color: "crimson" }}>{err}</div> : <div ref={ref} />;
+}
@@ -0,0 +1,130 @@
+// src/sw.js
+// Service worker: precache (vite-plugin-pwa, injectManifest) + Web Push от push gateway
+import { clientsClaim } from "workbox-core";
+import { cleanupOutdatedCaches, createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { NavigationRoute, registerRoute } from "workbox-routing";
+
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+// SPA: любой переход (в т.ч. /auth/callback и deep link) offline отдаёт index.html
+registerRoute(new NavigationRoute(createHandlerBoundToURL("index.html")));
+
+// registerType: "autoUpdate" — новая версия сразу берёт открытые вкладки под контроль
+self.skipWaiting();
+clientsClaim();
+
+// -------------------- push --------------------
+// Payload в формате Sygnal webpush: room_id, event_id, type, sender, sender_display_name, room_name,
+// content, counts + default_payload из data пушера (user_id — чей это аккаунт)
+
+// тот же формат, что parseRoomDeepLink в App.jsx
+function roomDeepLink(roomId, userId) {
+    const account = userId ? `?account=${encodeURIComponent(userId)}` : "";
+    return new URL(`#/room/${encodeURIComponent(roomId)}${account}`, self.registration.scope).href;
+}
+
+function previewBody(data) {
+    const content = data.content || {};
+    if (data.type === "m.room.encrypted") return "New encrypted message";
+    if (data.type === "m.room.member" && content.membership === "invite") return "Invited you to a chat";
+    if (["m.image", "m.video", "m.audio", "m.file"].includes(content.msgtype)) return `📎 ${content.filename || content.body || "file"}`;
+    // reply fallback ("> <@user> ...") в начале body
+    const text = String(content.body || "").replace(/^(>.*\n)+\n?/, "").replace(/\s+/g, " ").trim();
+    return text ? (text.length > 200 ? `${text.slice(0, 199)}…` : text) : "New message";
+}
+
+// часы тишины: { enabled, start: "22:00", end: "07:00" } из IndexedDB (пишет App.jsx, saveDnd)
+function loadDnd() {
+    return new Promise((resolve) => {
+        const req = indexedDB.open("happychat_settings", 1);
+        req.onupgradeneeded = () => req.result.createObjectStore("settings");
+        req.onerror = () => resolve(null);
+        req.onsuccess = () => {
+            const db = req.result;
+            const get = db.transaction("settings", "readonly").objectStore("settings").get("dnd");
+            get.onsuccess = () => resolve(get.result || null);
+            get.onerror = () => resolve(null);
+            get.transaction.oncomplete = () => db.close();
+        };
+    });
+}
+
+function inDndHours(dnd, now = new Date()) {
+    if (!dnd?.enabled) return false;
+    const minutes = (hhmm) => {
+        const [h, m] = String(hhmm).split(":").map(Number);
+        return h * 60 + (m || 0);
+    };
+    const start = minutes(dnd.start);
+    const end = minutes(dnd.end);
+    const t = now.getHours() * 60 + now.getMinutes();
+    // через полночь (22:00–07:00) или внутри дня (13:00–14:00)
+    return start <= end ? t >= start && t < end : t >= start || t < end;
+}
+
+async function showPush(data) {
+    if (typeof data.counts?.unread === "number") {
+        if (data.counts.unread) self.navigator.setAppBadge?.(data.counts.unread).catch(() => {});
+        else self.navigator.clearAppBadge?.().catch(() => {});
+    }
+
+    // без event_id — только счётчик (прочитано на другом устройстве). Пушер просит events_only, так что это лишь
+    // gateway, который флаг игнорирует; уведомления тут нет, и Chrome покажет своё "updated in the background"
+    if (!data.event_id || !data.room_id) {
+        if (data.counts?.unread === 0) {
+            const shown = await self.registration.getNotifications();
+            shown.forEach((n) => n.close());
+        }
+        return;
+    }
+
+    // вкладка открыта и в фокусе — там и так всё видно
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (windows.some((w) => w.focused && w.visibilityState === "visible")) return;
+
+    // в часы тишины уведомление всё равно показываем (Web Push требует), но без звука и вибрации
+    const quiet = inDndHours(await loadDnd());
+    const sender = data.sender_display_name || data.sender || "Someone";
+    const body = previewBody(data);
+    // DM обычно без room_name -> заголовок = собеседник
+    const title = data.room_name || sender;
+
+    return self.registration.showNotification(title, {
+        body: data.room_name ? `${sender}: ${body}` : body,
+        tag: data.room_id,
+        renotify: !quiet,
+        silent: quiet,
+        timestamp: Date.now(),
+        data: { roomId: data.room_id, userId: data.user_id || null },
+    });
+}
+
+self.addEventListener("push", (event) => {
+    let data = {};
+    try {
+        data = event.data?.json() || {};
+    } catch {
+        // не JSON — показывать нечего
+    }
+    event.waitUntil(showPush(data));
+});
+
+// клик -> открытая вкладка переключается на комнату, иначе новое окно по deep link
+self.addEventListener("notificationclick", (event) => {
+    event.notification.close();
+    const { roomId, userId } = event.notification.data || {};
+    if (!roomId) return;
+
+    event.waitUntil(
+        (async () => {
+            const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+            const win = windows.find((w) => w.url.startsWith(self.registration.scope));
+            if (win) {
+                await win.focus();
+                win.postMessage({ type: "open-room", roomId, userId });
+                return;
+            }
+            await self.clients.openWindow(roomDeepLink(roomId, userId));
+        })()
+    );
+});
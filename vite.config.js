@@ -10,6 +10,10 @@ export default defineConfig({
     react(),
     VitePWA({
       registerType: "autoUpdate",
+      // свой service worker: precache + Web Push (src/sw.js)
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "sw.js",
       includeAssets: ["favicon.svg"],
       manifest: {
         name: "HappyChat",